@@ -2,6 +2,9 @@
 
 const Debuglog = require('../lib/debuglog');
 const DefaultMiddleware = require('../lib/default_middleware');
+const Errors = require('../lib/errors');
+const RequestContext = require('../lib/request_context');
+const RouteMatcher = require('../lib/route_matcher');
 const Util = require('../lib/util');
 
 const META_PROP_MIDDLEWARE = 'wt-middleware';
@@ -46,18 +49,27 @@ function compiler(options, cb) {
         }
     }
 
-    return cb(null, function middlewarePipeline(ctx, req, res) {
-        const defaultMiddleware = DefaultMiddleware.create({
-            debuglog,
-            nodejsCompiler,
-            respondWithError,
-            script,
-        });
+    let pipeline;
+    let respondWithError;
+
+    try {
+        respondWithError = Errors.create(options.meta);
+        pipeline = resolvePipeline(middlewareSpecs, options.secrets);
+    } catch (error) {
+        debuglog(error.message);
 
-        // Add a final middleware that will invoke the webtaskFunction
-        // if not yet invoked.
-        middlewareSpecs.push(defaultMiddleware);
+        return cb(error);
+    }
+
+    // Add the middleware that will invoke the webtaskFunction after the
+    // last regular middleware so that trailing error-handling middleware
+    // also see errors produced while compiling or running the webtask.
+    pipeline.splice(findDefaultMiddlewareIndex(pipeline), 0, {
+        name: 'defaultMiddleware',
+        fn: DefaultMiddleware.create({ debuglog }),
+    });
 
+    return cb(null, function middlewarePipeline(ctx, req, res) {
         // Inject a new context object that can be used by middleware
         // to do their own compilation.
         ctx.compiler = { nodejsCompiler, script };
@@ -65,9 +77,25 @@ function compiler(options, cb) {
         // Attach the webtask context to the request at a well-known location
         req.webtaskContext = ctx;
 
+        // Track the progress of the pipeline for middleware reporting on it,
+        // such as the access log. `current` is the middleware invoked last,
+        // along with its `next` function, and `error` is the error that the
+        // pipeline responded with, if any.
+        const pipelineState = { current: null, error: null };
+
+        req.webtaskPipeline = pipelineState;
+
         let nextMiddlewareIdx = 0;
 
-        return invokeNextMiddleware();
+        // Make the request context available to all of the continuations of
+        // the pipeline, including the webtask's
+        return RequestContext.run(
+            {
+                requestId: req.x_wt && req.x_wt.req_id,
+                webtaskId: req.x_wt && req.x_wt.jtn,
+            },
+            () => invokeNextMiddleware()
+        );
 
         function invokeNextMiddleware(error) {
             if (error) {
@@ -75,94 +103,243 @@ function compiler(options, cb) {
                     'Error produced by middleware: %s',
                     error.stack || error
                 );
-
-                return respondWithError(error, res);
             }
 
-            const middlewareSpec = middlewareSpecs[nextMiddlewareIdx];
+            // Regular middleware are skipped while handling an error and
+            // error-handling middleware are skipped otherwise.
+            while (nextMiddlewareIdx < pipeline.length) {
+                const middleware = pipeline[nextMiddlewareIdx];
+                const middlewareIdx = nextMiddlewareIdx++;
+                let middlewareFn;
 
-            debuglog(
-                'Invoking middleware %d: %s',
-                nextMiddlewareIdx,
-                middlewareSpec.name || middlewareSpec
-            );
+                try {
+                    middlewareFn = getMiddlewareFn(middleware, ctx);
+                } catch (e) {
+                    debuglog(
+                        'Error loading middleware "%s": %s',
+                        middleware.name,
+                        e.stack || e
+                    );
+
+                    error = e;
+
+                    continue;
+                }
+
+                if (isErrorHandler(middlewareFn) !== !!error) continue;
 
-            nextMiddlewareIdx++;
+                if (middleware.match) {
+                    const params = middleware.match(req);
 
-            try {
-                const middlewareFn = Util.resolveCompiler(middlewareSpec);
+                    if (!params) {
+                        debuglog(
+                            'Skipping out-of-scope middleware %d: %s',
+                            middlewareIdx,
+                            middleware.name
+                        );
+
+                        continue;
+                    }
+
+                    req.params = Object.assign({}, req.params, params);
+                }
+
+                debuglog(
+                    'Invoking middleware %d: %s',
+                    middlewareIdx,
+                    middleware.name
+                );
+
+                const next = createNext(middleware);
+                let result;
+
+                pipelineState.current = {
+                    index: middleware.index,
+                    name: middleware.name,
+                    next,
+                };
 
                 try {
-                    return middlewareFn(req, res, invokeNextMiddleware);
+                    result = error
+                        ? middlewareFn(error, req, res, next)
+                        : middlewareFn(req, res, next);
                 } catch (e) {
                     debuglog(
                         'Synchronous error running middleware "%s": %s',
-                        middlewareSpec,
+                        middleware.name,
                         e.stack || e
                     );
 
-                    return respondWithError(e, res);
+                    return next(e);
                 }
-            } catch (e) {
-                debuglog(
-                    'Error loading middleware "%s": %s',
-                    middlewareSpec,
-                    e.stack || e
-                );
 
-                return respondWithError(e, res);
+                if (Util.isThenable(result)) {
+                    // A settled promise counts as a call to `next` unless the
+                    // middleware already called it or started responding.
+                    result.then(
+                        () => {
+                            if (!next.called && !res.headersSent) next(error);
+                        },
+                        e => next(e || new Error('Middleware promise rejected'))
+                    );
+                }
+
+                return result;
             }
-        }
 
-        function respondWithError(error, res) {
-            if (!(error instanceof Error)) {
+            if (!error) {
                 error = new Error(
-                    error.message || String(error) || 'Unknown error'
+                    'The middleware pipeline completed without producing a response'
                 );
             }
 
-            if (!error.statusCode) {
-                error.statusCode = 500;
-            }
+            pipelineState.error = error;
 
-            const statusCode = error.statusCode;
-            const headers = {
-                'Content-Type': 'application/json',
-            };
-            const payload = {
-                message: error.message,
-                statusCode: error.statusCode,
+            return respondWithError(error, req, res);
+        }
+
+        function createNext(middleware) {
+            const next = function next(nextError) {
+                if (next.called) {
+                    debuglog(
+                        'Ignoring repeated completion of middleware "%s"',
+                        middleware.name
+                    );
+
+                    return;
+                }
+
+                next.called = true;
+
+                return invokeNextMiddleware(nextError);
             };
 
-            [
-                'code',
-                'errno',
-                'error',
-                'error_description',
-                'data',
-            ].forEach(key => {
-                if (error[key]) payload[key] = error[key];
-            });
-
-            if (error.statusCode === 500 && error.stack) {
-                payload.stack = error.stack;
-            }
+            next.called = false;
 
-            let json;
+            return next;
+        }
+    });
+}
 
-            try {
-                json = JSON.stringify(payload);
-            } catch (e) {
-                const error = new Error(
-                    'Error serializing error: ' + e.message
-                );
-                error.statusCode = 500;
+/**
+ * Find the index after the last regular middleware in the pipeline
+ *
+ * @param {Array<{name: string, fn: function}>} pipeline Resolved middleware
+ */
+function findDefaultMiddlewareIndex(pipeline) {
+    for (let idx = pipeline.length; idx > 0; idx--) {
+        const middleware = pipeline[idx - 1];
+
+        // Deferred middleware are assumed to be regular middleware
+        if (!middleware.fn || !isErrorHandler(middleware.fn)) return idx;
+    }
 
-                return respondWithError(error, res);
-            }
+    return 0;
+}
 
-            res.writeHead(statusCode, headers);
-            res.end(json);
+/**
+ * Get the function of a resolved middleware, invoking deferred factories
+ * with the secrets of the current request if necessary
+ *
+ * @param {{name: string, fn: function, resolve: function}} middleware Resolved middleware
+ * @param {object} ctx Webtask context
+ */
+function getMiddlewareFn(middleware, ctx) {
+    if (!middleware.fn) {
+        middleware.fn = middleware.resolve(ctx.secrets);
+    }
+
+    return middleware.fn;
+}
+
+/**
+ * Determine whether a middleware has the `(err, req, res, next)` signature
+ * of error-handling middleware
+ *
+ * @param {function} middlewareFn Middleware function
+ */
+function isErrorHandler(middlewareFn) {
+    return middlewareFn.length === 4;
+}
+
+/**
+ * Resolve middleware specs to the functions making up the pipeline
+ *
+ * All specs are resolved so that every problem can be reported at once.
+ * Factories referencing secrets are only invoked at compile time when the
+ * compiler received secrets; otherwise they are invoked once, with the
+ * secrets of the first request.
+ *
+ * @param {Array<string|object|function>} middlewareSpecs Middleware specs
+ * @param {object} [secrets] Webtask secrets, if known at compile time
+ * @returns {Array<{index: number, name: string, match: function, fn: function, resolve: function}>} Resolved middleware
+ */
+function resolvePipeline(middlewareSpecs, secrets) {
+    const errors = [];
+    const pipeline = middlewareSpecs.map((middlewareSpec, idx) => {
+        const name = describeMiddlewareSpec(middlewareSpec);
+
+        try {
+            const match =
+                middlewareSpec && typeof middlewareSpec === 'object'
+                    ? RouteMatcher.create(middlewareSpec)
+                    : null;
+
+            return Object.assign(
+                { index: idx, name, match },
+                resolveMiddleware(middlewareSpec, secrets)
+            );
+        } catch (e) {
+            errors.push({ index: idx, name, error: e });
+
+            return null;
         }
     });
+
+    if (errors.length) {
+        const error = new Error(
+            `Failed to resolve ${errors.length} of ${middlewareSpecs.length} middleware:\n` +
+                errors
+                    .map(
+                        failure =>
+                            `  - [${failure.index}] ${failure.name}: ${failure
+                                .error.message}`
+                    )
+                    .join('\n')
+        );
+
+        error.errors = errors;
+
+        throw error;
+    }
+
+    return pipeline;
+}
+
+function resolveMiddleware(middlewareSpec, secrets) {
+    if (typeof middlewareSpec === 'function') return { fn: middlewareSpec };
+
+    const parsedSpec = Util.normalizeMiddlewareSpec(middlewareSpec);
+    const moduleExport = Util.loadSpecExport(parsedSpec);
+
+    if (!parsedSpec.isFactoryFunction) return { fn: moduleExport };
+
+    if (!parsedSpec.secrets || secrets) {
+        return {
+            fn: Util.invokeSpecFactory(parsedSpec, moduleExport, secrets),
+        };
+    }
+
+    return {
+        fn: null,
+        resolve: secrets =>
+            Util.invokeSpecFactory(parsedSpec, moduleExport, secrets),
+    };
+}
+
+function describeMiddlewareSpec(spec) {
+    if (typeof spec === 'function') return spec.name || '<anonymous>';
+    if (spec && typeof spec === 'object') return spec.use;
+
+    return spec;
 }
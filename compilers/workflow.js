@@ -2,14 +2,13 @@
 
 const Async = require('async');
 const Boom = require('boom');
+const Errors = require('../lib/errors');
 const Joi = require('joi');
 const Querystring = require('querystring');
+const Util = require('../lib/util');
 const Wreck = require('wreck');
 
 const DEFAULT_TIMEOUT = 10000;
-const USE_WILDCARD_DOMAIN = 3;
-const USE_CUSTOM_DOMAIN = 2;
-const USE_SHARED_DOMAIN = 1;
 
 module.exports = {
     compiler,
@@ -52,6 +51,16 @@ function compiler(options, cb) {
             .required(),
     });
 
+    let respondWithError;
+
+    try {
+        respondWithError = Errors.create(options.meta, { boomOutput: true });
+    } catch (error) {
+        logger.error(error.message);
+
+        return void cb(error);
+    }
+
     return Async.waterfall(
         [
             next => compileScript(options.script, options.nodejsCompiler, next),
@@ -206,18 +215,7 @@ function compiler(options, cb) {
                                 .output.statusCode}`
                         );
 
-                        res.writeHead(
-                            error.output.statusCode,
-                            Object.assign(
-                                {
-                                    'Content-Type': 'application/json',
-                                },
-                                error.output.headers
-                            )
-                        );
-                        res.end(JSON.stringify(error.output.payload));
-
-                        return;
+                        return void respondWithError(error, req, res);
                     }
 
                     const resultSeed = {
@@ -339,18 +337,7 @@ function compiler(options, cb) {
                                 .output.statusCode}`
                         );
 
-                        res.writeHead(
-                            error.output.statusCode,
-                            Object.assign(
-                                {
-                                    'Content-Type': 'application/json',
-                                },
-                                error.output.headers
-                            )
-                        );
-                        res.end(JSON.stringify(error.output.payload));
-
-                        return;
+                        return void respondWithError(error, req, res);
                     }
 
                     logger.info(
@@ -371,12 +358,12 @@ function compiler(options, cb) {
             ? req.headers['x-forwarded-proto']
             : 'https';
         const baseUrl =
-            req.x_wt.url_format === USE_CUSTOM_DOMAIN
+            req.x_wt.url_format === Util.USE_CUSTOM_DOMAIN
                 ? `${proto}://${req.headers.host}/${req.x_wt.container}/`
-                : req.x_wt.url_format === USE_SHARED_DOMAIN
+                : req.x_wt.url_format === Util.USE_SHARED_DOMAIN
                   ? `${proto}://${req.headers.host}/api/run/${req.x_wt
                         .container}/`
-                  : req.x_wt.url_format === USE_WILDCARD_DOMAIN
+                  : req.x_wt.url_format === Util.USE_WILDCARD_DOMAIN
                     ? `${proto}://${req.headers.host}/`
                     : null;
 
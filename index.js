@@ -1,5 +1,11 @@
 'use strict';
 
+Object.defineProperty(module.exports, 'accessLog', {
+    get() {
+        return require('./middleware/access_log').middleware;
+    },
+});
+
 Object.defineProperty(module.exports, 'authenticate', {
     get() {
         return require('./middleware/authenticate').middleware;
@@ -12,6 +18,48 @@ Object.defineProperty(module.exports, 'authenticateCron', {
     },
 });
 
+Object.defineProperty(module.exports, 'authenticateJwt', {
+    get() {
+        return require('./middleware/authenticate_jwt').middleware;
+    },
+});
+
+Object.defineProperty(module.exports, 'compress', {
+    get() {
+        return require('./middleware/compress').middleware;
+    },
+});
+
+Object.defineProperty(module.exports, 'cors', {
+    get() {
+        return require('./middleware/cors').middleware;
+    },
+});
+
+Object.defineProperty(module.exports, 'createValidator', {
+    get() {
+        return require('./middleware/validate').create;
+    },
+});
+
+Object.defineProperty(module.exports, 'cronLock', {
+    get() {
+        return require('./middleware/cron_lock').middleware;
+    },
+});
+
+Object.defineProperty(module.exports, 'idempotency', {
+    get() {
+        return require('./middleware/idempotency').middleware;
+    },
+});
+
+Object.defineProperty(module.exports, 'ipFilter', {
+    get() {
+        return require('./middleware/ip_filter').middleware;
+    },
+});
+
 Object.defineProperty(module.exports, 'jsonLogger', {
     get() {
         return require('./middleware/json_logger').middleware;
@@ -24,6 +72,36 @@ Object.defineProperty(module.exports, 'unpack', {
     },
 });
 
+Object.defineProperty(module.exports, 'rateLimit', {
+    get() {
+        return require('./middleware/rate_limit').middleware;
+    },
+});
+
+Object.defineProperty(module.exports, 'validate', {
+    get() {
+        return require('./middleware/validate').middleware;
+    },
+});
+
+Object.defineProperty(module.exports, 'verifyWebhook', {
+    get() {
+        return require('./middleware/verify_webhook').middleware;
+    },
+});
+
+Object.defineProperty(module.exports, 'getRequestContext', {
+    get() {
+        return require('./lib/request_context').getRequestContext;
+    },
+});
+
+Object.defineProperty(module.exports, 'response', {
+    get() {
+        return require('./lib/response').create;
+    },
+});
+
 Object.defineProperty(module.exports, 'middleware', {
     get() {
         return require('./compilers/middleware').compiler;
@@ -0,0 +1,313 @@
+'use strict';
+
+const Querystring = require('querystring');
+const Stream = require('stream');
+
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+const JSON_SUFFIX_RX = /^application\/[a-z0-9.-]+\+json$/;
+const META_PROP_MAX_BODY_SIZE = 'wt-max-body-size';
+
+// Properties of requests that are accessors rather than own properties
+const REQUEST_ACCESSORS = ['headers', 'trailers'];
+
+module.exports = {
+    createReadableRequest,
+    getMaxBytes,
+    parse,
+    readRaw,
+};
+
+/**
+ * Create a request whose body, read by `readRaw`, can be read again
+ *
+ * Middleware that need the body, for example to verify its signature, leave
+ * the request stream consumed. The request created in its place is a stream
+ * of `req.rawBody` having the other properties of `req`, so that webtasks
+ * using the `function(ctx, req, res)` signature, or frameworks like Express,
+ * receive the body as if it had not been read.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @returns {stream.Readable} Request whose body can be read, which is `req`
+ *  itself unless its body was consumed by `readRaw`
+ */
+function createReadableRequest(req) {
+    if (!Buffer.isBuffer(req.rawBody) || !req.readableEnded) return req;
+
+    const readable = new Stream.Readable({ read: () => undefined });
+
+    Object.keys(req)
+        .filter(name => name[0] !== '_')
+        .concat(REQUEST_ACCESSORS)
+        .filter(name => !(name in readable))
+        .forEach(name => {
+            readable[name] = req[name];
+        });
+
+    if (req.rawBody.length) readable.push(req.rawBody);
+
+    readable.push(null);
+
+    return readable;
+}
+
+/**
+ * Get the maximum size of request bodies configured in webtask metadata
+ *
+ * @param {object} [meta] Webtask metadata
+ */
+function getMaxBytes(meta) {
+    const maxBytes = meta ? parseInt(meta[META_PROP_MAX_BODY_SIZE], 10) : NaN;
+
+    return maxBytes > 0 ? maxBytes : DEFAULT_MAX_BYTES;
+}
+
+/**
+ * Read and parse the body of a request according to its `Content-Type`
+ *
+ * JSON is parsed to a value, url-encoded forms to an object of fields and
+ * multipart forms to an object of fields whose file parts are objects having
+ * `filename`, `contentType` and `data` properties. Text is decoded to a string
+ * and anything else is produced as a `Buffer`. Empty bodies produce
+ * `undefined`.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {object} [options] Options
+ * @param {number} [options.maxBytes] Maximum size of the body
+ * @param {function} cb callback having the form `function(error, body)`
+ */
+function parse(req, options, cb) {
+    return readRaw(req, options, (error, payload) => {
+        if (error) return cb(error);
+
+        if (!payload.length) return cb(null, undefined);
+
+        const contentType = parseContentType(req.headers['content-type']);
+        let body;
+
+        try {
+            body = parsePayload(payload, contentType);
+        } catch (e) {
+            return cb(e);
+        }
+
+        return cb(null, body);
+    });
+}
+
+/**
+ * Read the raw body of a request, at most once
+ *
+ * The body is kept as `req.rawBody` so that it remains available after the
+ * request stream has been consumed, for example to verify a signature
+ * before parsing.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {object} [options] Options
+ * @param {number} [options.maxBytes] Maximum size of the body
+ * @param {function} cb callback having the form `function(error, payload)`
+ */
+function readRaw(req, options, cb) {
+    if (Buffer.isBuffer(req.rawBody)) return cb(null, req.rawBody);
+
+    const maxBytes = (options && options.maxBytes) || DEFAULT_MAX_BYTES;
+    const chunks = [];
+    let length = 0;
+    let finished = false;
+
+    const finish = (error, payload) => {
+        if (finished) return;
+
+        finished = true;
+
+        req.removeListener('data', onData);
+        req.removeListener('end', onEnd);
+        req.removeListener('error', onError);
+
+        if (error) {
+            // Keep draining the request so that a response can still be sent
+            req.resume();
+
+            return cb(error);
+        }
+
+        req.rawBody = payload;
+
+        return cb(null, payload);
+    };
+    const onData = chunk => {
+        length += chunk.length;
+
+        if (length > maxBytes) return finish(createTooLargeError(maxBytes));
+
+        chunks.push(chunk);
+    };
+    const onEnd = () => finish(null, Buffer.concat(chunks, length));
+    const onError = error =>
+        finish(
+            createBadRequestError(
+                `Error reading the request body: ${error.message}`
+            )
+        );
+
+    if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+        return finish(createTooLargeError(maxBytes));
+    }
+
+    req.on('data', onData);
+    req.once('end', onEnd);
+    req.once('error', onError);
+}
+
+function createBadRequestError(message) {
+    const error = new Error(message);
+
+    error.statusCode = 400;
+
+    return error;
+}
+
+function createTooLargeError(maxBytes) {
+    const error = new Error(
+        `Request body is larger than the maximum of ${maxBytes} bytes`
+    );
+
+    error.statusCode = 413;
+
+    return error;
+}
+
+function getEncoding(charset) {
+    const normalized = (charset || '').toLowerCase();
+
+    return normalized === 'iso-8859-1' || normalized === 'latin1'
+        ? 'latin1'
+        : 'utf8';
+}
+
+function parseContentType(header) {
+    const parts = (header || '').split(';');
+    const mediaType = parts
+        .shift()
+        .trim()
+        .toLowerCase();
+    const params = parts.reduce((params, part) => {
+        const idx = part.indexOf('=');
+
+        if (idx !== -1) {
+            const name = part.slice(0, idx).trim().toLowerCase();
+            const value = part.slice(idx + 1).trim();
+
+            params[name] = value.replace(/^"(.*)"$/, '$1');
+        }
+
+        return params;
+    }, {});
+
+    return { mediaType, params };
+}
+
+function parseJson(payload) {
+    try {
+        return JSON.parse(payload.toString('utf8'));
+    } catch (e) {
+        throw createBadRequestError(`Invalid JSON request body: ${e.message}`);
+    }
+}
+
+function parsePayload(payload, contentType) {
+    const mediaType = contentType.mediaType;
+
+    if (mediaType === 'application/json' || JSON_SUFFIX_RX.test(mediaType)) {
+        return parseJson(payload);
+    }
+
+    if (mediaType === 'application/x-www-form-urlencoded') {
+        return Querystring.parse(payload.toString('utf8'));
+    }
+
+    if (mediaType === 'multipart/form-data') {
+        return parseMultipart(payload, contentType.params.boundary);
+    }
+
+    if (/^text\//.test(mediaType)) {
+        return payload.toString(getEncoding(contentType.params.charset));
+    }
+
+    return payload;
+}
+
+function parseMultipart(payload, boundary) {
+    if (!boundary) {
+        throw createBadRequestError('Multipart request body has no boundary');
+    }
+
+    const delimiter = Buffer.from(`--${boundary}`);
+    const separator = Buffer.from(`\r\n--${boundary}`);
+    // Like url-encoded forms, fields are collected in an object without a
+    // prototype so that fields named `__proto__` or `constructor` are plain
+    // fields
+    const body = Object.create(null);
+    let offset = payload.indexOf(delimiter);
+
+    if (offset === -1) {
+        throw createBadRequestError('Malformed multipart request body');
+    }
+
+    offset += delimiter.length;
+
+    // Each part follows a CRLF after its delimiter; the final delimiter is
+    // followed by `--` instead.
+    while (payload.slice(offset, offset + 2).toString() !== '--') {
+        const end = payload.indexOf(separator, offset);
+
+        if (end === -1) {
+            throw createBadRequestError('Malformed multipart request body');
+        }
+
+        addMultipartField(body, payload.slice(offset + 2, end));
+
+        offset = end + separator.length;
+    }
+
+    return body;
+}
+
+function addMultipartField(body, part) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const rawHeaders =
+        headerEnd === -1 ? '' : part.slice(0, headerEnd).toString('utf8');
+    const data = headerEnd === -1 ? part : part.slice(headerEnd + 4);
+    const headers = rawHeaders.split('\r\n').reduce((headers, line) => {
+        const idx = line.indexOf(':');
+
+        if (idx !== -1) {
+            const name = line.slice(0, idx).trim().toLowerCase();
+
+            headers[name] = line.slice(idx + 1).trim();
+        }
+
+        return headers;
+    }, {});
+    const disposition = parseContentType(headers['content-disposition']);
+    const name = disposition.params.name;
+
+    if (!name) return;
+
+    const value =
+        disposition.params.filename !== undefined
+            ? {
+                  filename: disposition.params.filename,
+                  contentType:
+                      headers['content-type'] || 'application/octet-stream',
+                  data,
+              }
+            : data.toString('utf8');
+
+    if (body[name] === undefined) {
+        body[name] = value;
+    } else if (Array.isArray(body[name])) {
+        body[name].push(value);
+    } else {
+        body[name] = [body[name], value];
+    }
+}
@@ -0,0 +1,69 @@
+'use strict';
+
+const Net = require('net');
+
+const DEFAULT_TRUSTED_HOPS = 1;
+const META_PROP_TRUSTED_HOPS = 'wt-trusted-hops';
+
+module.exports = {
+    getClientAddress,
+    getTrustedHops,
+    normalizeAddress,
+};
+
+/**
+ * Get the address of the client that made a request
+ *
+ * Each trusted proxy in front of the webtask appends the address it received
+ * the request from to the `X-Forwarded-For` header, so the client is the
+ * entry added by the outermost trusted proxy. Entries to its left are
+ * supplied by the client and cannot be trusted.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {number} trustedHops Number of trusted proxies in front of the webtask
+ * @returns {string|null} Normalized client address or null if unknown
+ */
+function getClientAddress(req, trustedHops) {
+    const forwarded = (req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+    const address =
+        trustedHops > 0 && forwarded.length
+            ? forwarded[Math.max(forwarded.length - trustedHops, 0)]
+            : req.socket && req.socket.remoteAddress;
+
+    return normalizeAddress(address);
+}
+
+/**
+ * Get the number of trusted proxies configured in webtask metadata
+ *
+ * @param {object} [meta] Webtask metadata
+ */
+function getTrustedHops(meta) {
+    const hops = meta ? parseInt(meta[META_PROP_TRUSTED_HOPS], 10) : NaN;
+
+    return hops >= 0 ? hops : DEFAULT_TRUSTED_HOPS;
+}
+
+/**
+ * Normalize an IP address, unwrapping IPv4-mapped IPv6 addresses
+ *
+ * @param {string} [address] Address, optionally with a port
+ * @returns {string|null} Normalized address or null if invalid
+ */
+function normalizeAddress(address) {
+    if (!address) return null;
+
+    // Strip the port of `1.2.3.4:80` and `[::1]:80` forms
+    const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+    const withPort = address.match(/^([\d.]+):\d+$/);
+    const candidate = bracketed
+        ? bracketed[1]
+        : withPort ? withPort[1] : address;
+    const mapped = candidate.match(/^::ffff:([\d.]+)$/i);
+    const normalized = mapped ? mapped[1] : candidate;
+
+    return Net.isIP(normalized) ? normalized.toLowerCase() : null;
+}
@@ -4,6 +4,7 @@ const META_PROP_DEBUG = 'wt-debug';
 
 module.exports = {
     create,
+    isEnabled,
 };
 
 /**
@@ -14,7 +15,15 @@ module.exports = {
  */
 function create(name, meta) {
     /* eslint no-console:off */
-    return (meta[META_PROP_DEBUG] || '').split(',').indexOf(name) >= 0
-        ? console.log.bind(console)
-        : () => undefined;
+    return isEnabled(name, meta) ? console.log.bind(console) : () => undefined;
+}
+
+/**
+ * Determine whether a debug flag is enabled in webtask metadata
+ *
+ * @param {string} name Name of debug flag
+ * @param {object} meta Webtask metadata
+ */
+function isEnabled(name, meta) {
+    return (meta[META_PROP_DEBUG] || '').split(',').indexOf(name) >= 0;
 }
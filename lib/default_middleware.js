@@ -1,152 +1,273 @@
 'use strict';
 
 const Assert = require('assert');
+const BodyParser = require('./body_parser');
+const Negotiation = require('./negotiation');
+const Response = require('./response');
+const Util = require('./util');
+
+const CONTEXT_PARAMETER_RX = /^(?:ctx|context|\{)$/;
 
 module.exports = {
     create,
 };
 
 /**
+ * Create the middleware that compiles and invokes the webtask code
+ *
+ * The code and compiler are read from `ctx.compiler` so that earlier
+ * middleware can substitute them. The compiled webtask is cached for as long
+ * as the code stays the same.
+ *
+ * Errors compiling or running the webtask are passed to `next` so that
+ * they reach any error-handling middleware.
  *
  * @param {object} options Options
  * @param {function} options.debuglog Debug logging function
- * @param {function} options.nodejsCompiler Default nodejs compiler
- * @param {function} options.respondWithError Function to respond with a standardized error
- * @param {string} options.script Code of the user webtask
  */
 function create(options) {
     Assert.ok(options);
     Assert.ok(options.debuglog);
-    Assert.ok(options.nodejsCompiler);
-    Assert.ok(options.respondWithError);
-    Assert.ok(options.script);
 
     const debuglog = options.debuglog;
-    const nodejsCompiler = options.nodejsCompiler;
-    const respondWithError = options.respondWithError;
-    const script = options.script;
 
+    let cachedScript;
     let cachedWebtaskAdapter;
 
-    return function defaultMiddleware(req, res) {
-        if (cachedWebtaskAdapter) {
+    return function defaultMiddleware(req, res, next) {
+        const nodejsCompiler = req.webtaskContext.compiler.nodejsCompiler;
+        const script = req.webtaskContext.compiler.script;
+
+        if (cachedWebtaskAdapter && cachedScript === script) {
             debuglog('Using cached webtask adaptor');
 
-            return cachedWebtaskAdapter(req, res);
+            return cachedWebtaskAdapter(req, res, next);
         }
 
         return nodejsCompiler(script, (error, webtaskFn) => {
             if (error) {
                 debuglog('Error compiling webtask code: %s', error.stack);
 
-                return respondWithError(error, res);
+                return next(error);
             }
 
+            cachedScript = script;
+
             debuglog(
                 'Running webtask function with arity: %d',
                 webtaskFn.length
             );
 
             if (webtaskFn.length > 3) {
-                cachedWebtaskAdapter = (req, res) => {
+                cachedWebtaskAdapter = (req, res, next) => {
                     const error = new Error(
                         `Unable to execute a webtask function expecting ${webtaskFn.length} arguments`
                     );
 
-                    return respondWithError(error, res);
+                    return next(error);
                 };
             } else if (webtaskFn.length === 3) {
-                // The webtask function uses the 3ary signature; no further work to do
-                cachedWebtaskAdapter = (req, res) => {
+                // The webtask function uses the 3ary signature; only rejections of a
+                // returned promise need handling. The promise is not returned to the
+                // pipeline, which would otherwise treat its resolution as a call to
+                // `next` while the webtask may still be about to respond.
+                cachedWebtaskAdapter = (req, res, next) => {
                     const ctx = req.webtaskContext;
 
                     delete ctx.compiler;
 
-                    return webtaskFn(ctx, req, res);
+                    // Earlier middleware may have read the body, which the
+                    // webtask can still read from the request it receives
+                    const result = webtaskFn(
+                        ctx,
+                        BodyParser.createReadableRequest(req),
+                        res
+                    );
+
+                    if (Util.isThenable(result)) {
+                        result.then(null, error =>
+                            next(error || new Error('Webtask promise rejected'))
+                        );
+                    }
                 };
             } else {
                 // The webtask function has either the 1 or 2ary signature. First parse
                 // the body if necessary and then invoke the webtask function
-                let parseBody;
                 const bodylessMethods = ['GET', 'HEAD', 'OPTIONS'];
+                // An `async ctx => value` webtask never calls back, so the
+                // outcome of its promise is its response.
+                const receivesContextOnly =
+                    Util.isAsyncFunction(webtaskFn) &&
+                    (webtaskFn.length === 0 ||
+                        (webtaskFn.length === 1 &&
+                            CONTEXT_PARAMETER_RX.test(
+                                Util.getFirstParameterName(webtaskFn)
+                            )));
 
-                cachedWebtaskAdapter = (req, res) => {
+                cachedWebtaskAdapter = (req, res, next) => {
                     const ctx = req.webtaskContext;
 
                     delete ctx.compiler;
                     delete req.webtaskContext;
 
-                    // Either the body has already been parsed or the request method will never
-                    // have a body.
-                    if (
-                        ctx.body ||
-                        bodylessMethods.indexOf(req.method) !== -1
-                    ) {
-                        return webtaskFn.length === 2
-                            ? webtaskFn(ctx, buildResponse)
-                            : webtaskFn(buildResponse);
+                    // Allow the webtask to control the status code and headers
+                    ctx.response = Response.create;
+
+                    let responded = false;
+
+                    // Either the body has already been parsed, possibly by an earlier
+                    // middleware, or the request method will never have a body.
+                    if (ctx.body || bodylessMethods.indexOf(req.method) !== -1) {
+                        return invokeWebtask();
                     }
 
-                    if (!parseBody) {
-                        // Defer loading wreck until needed
-                        const Wreck = require('wreck');
+                    if (req.body !== undefined) {
+                        ctx.body = req.body;
 
-                        parseBody = Wreck.read.bind(Wreck);
+                        return invokeWebtask();
                     }
 
-                    // The body has yet to be parsed. Delegate this logic to wreck.
-                    return parseBody(req, { json: true }, (error, body) => {
-                        if (error) {
-                            return buildResponse(error);
+                    // The body has yet to be parsed
+                    return BodyParser.parse(
+                        req,
+                        { maxBytes: BodyParser.getMaxBytes(ctx.meta) },
+                        (error, body) => {
+                            if (error) {
+                                return buildResponse(error);
+                            }
+
+                            ctx.body = body;
+
+                            return invokeWebtask();
                         }
+                    );
 
-                        delete ctx.compiler;
+                    function invokeWebtask() {
+                        let result;
 
-                        ctx.body = body;
+                        try {
+                            result = receivesContextOnly
+                                ? webtaskFn(ctx)
+                                : webtaskFn.length === 2
+                                  ? webtaskFn(ctx, respond)
+                                  : webtaskFn(respond);
+                        } catch (e) {
+                            return respond(e);
+                        }
 
-                        return webtaskFn.length === 2
-                            ? webtaskFn(ctx, buildResponse)
-                            : webtaskFn(buildResponse);
-                    });
+                        if (Util.isThenable(result)) {
+                            result.then(
+                                data => {
+                                    // Webtasks resolving without a value may
+                                    // still call back later.
+                                    if (
+                                        receivesContextOnly ||
+                                        data !== undefined
+                                    ) {
+                                        respond(null, data);
+                                    }
+                                },
+                                error =>
+                                    respond(
+                                        error ||
+                                            new Error('Webtask promise rejected')
+                                    )
+                            );
+                        }
+                    }
+
+                    function respond(error, data) {
+                        // A webtask may both call back and return a promise; only the
+                        // first outcome counts.
+                        if (responded) {
+                            debuglog('Ignoring additional webtask response');
+
+                            return;
+                        }
+
+                        responded = true;
+
+                        return buildResponse(error, data);
+                    }
 
                     function buildResponse(error, data) {
                         if (error) {
-                            return respondWithError(error, res);
+                            return next(error);
                         }
 
-                        const response = {
-                            statusCode: 200,
-                            headers: {},
-                            data,
-                        };
+                        const isEnvelope = Response.isResponse(data);
+                        const response = isEnvelope
+                            ? data
+                            : { statusCode: 200, headers: {}, body: data };
+                        const headers = Object.assign({}, response.headers);
+
+                        if (
+                            Response.isEmptyStatus(response.statusCode) ||
+                            (isEnvelope && response.body === undefined)
+                        ) {
+                            res.writeHead(response.statusCode, headers);
+                            res.end();
 
-                        // Currently the respond function assumes json as the only format that
-                        // will be sent over the wire. In the future we could inspect the request
-                        // and do applicable content negotiation.
-                        let json;
+                            return;
+                        }
+
+                        const contentType = Response.getHeader(
+                            headers,
+                            'Content-Type'
+                        );
+                        let content;
 
                         try {
-                            json = JSON.stringify(response.data);
+                            content = Negotiation.serialize(response.body, {
+                                accept: req.headers['accept'],
+                                contentType,
+                            });
                         } catch (e) {
-                            return respondWithError(
-                                new Error(
-                                    "Error when JSON serializing the webtask's response data"
-                                ),
-                                res
-                            );
+                            return next(e);
                         }
 
-                        response.headers['Content-Type'] = 'application/json';
+                        if (!contentType) {
+                            headers['Content-Type'] = content.contentType;
+                        }
+
+                        if (
+                            content.negotiated &&
+                            !Response.getHeader(headers, 'Vary')
+                        ) {
+                            const vary = res.getHeader('Vary');
+
+                            // Keep the Vary header set by earlier middleware
+                            headers['Vary'] = vary
+                                ? `${vary}, Accept`
+                                : 'Accept';
+                        }
+
+                        res.writeHead(response.statusCode, headers);
+
+                        if (
+                            content.body &&
+                            typeof content.body.pipe === 'function'
+                        ) {
+                            content.body.on('error', error => {
+                                debuglog(
+                                    'Error streaming the webtask response: %s',
+                                    error.stack || error
+                                );
+
+                                res.destroy(error);
+                            });
+
+                            return content.body.pipe(res);
+                        }
 
-                        res.writeHead(response.statusCode, response.headers);
-                        res.end(json);
+                        res.end(content.body);
 
                         return;
                     }
                 };
             }
 
-            return cachedWebtaskAdapter(req, res);
+            return cachedWebtaskAdapter(req, res, next);
         });
     };
 }
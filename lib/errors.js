@@ -0,0 +1,193 @@
+'use strict';
+
+const Debuglog = require('./debuglog');
+const Http = require('http');
+
+const DEBUG_ERRORS = 'wt-errors';
+const FORMAT_LEGACY = 'legacy';
+const FORMAT_PROBLEM = 'problem';
+const FORMATS = [FORMAT_LEGACY, FORMAT_PROBLEM];
+const META_PROP_ERROR_FORMAT = 'wt-error-format';
+// Headers of errors describing how to recover from them. Other headers, such
+// as the framing headers of upstream responses carried by HTTP client errors,
+// are not sent.
+const RESPONSE_HEADER_RX = /^(?:allow|ratelimit-.+|retry-after|www-authenticate)$/i;
+
+module.exports = {
+    create,
+    normalizeError,
+};
+
+/**
+ * Create a function that sends error responses in the format configured in
+ * webtask metadata
+ *
+ * The `legacy` format, used by default, sends the error's message, status
+ * code and any `code`, `errno`, `error`, `error_description` and `data`
+ * properties as JSON, along with the stack of 500 errors. The `problem`
+ * format sends `application/problem+json` as described in RFC 7807, only
+ * exposing the message of 5xx errors and their stack when `wt-errors` is
+ * listed in the `wt-debug` metadata property. The `data` of 4xx errors is
+ * sent as extension members.
+ *
+ * The `legacy` format keeps the responses that each compiler sent before
+ * formats were configurable: the workflow compiler sends the `output` of Boom
+ * errors while the middleware compiler sends Boom errors like any other
+ * error.
+ *
+ * @param {object} meta Webtask metadata
+ * @param {object} [options] Options
+ * @param {boolean} [options.boomOutput] Send the `output` of Boom errors in
+ *  the `legacy` format
+ * @returns {function} function having the form `function(error, req, res)`
+ */
+function create(meta, options) {
+    const boomOutput = !!(options && options.boomOutput);
+    const format = meta[META_PROP_ERROR_FORMAT] || FORMAT_LEGACY;
+    const debug = Debuglog.isEnabled(DEBUG_ERRORS, meta);
+    const debuglog = Debuglog.create(DEBUG_ERRORS, meta);
+
+    if (FORMATS.indexOf(format) === -1) {
+        throw new Error(
+            `Unsupported ${META_PROP_ERROR_FORMAT} metadata '${format}', expecting one of: ${FORMATS.join(
+                ', '
+            )}`
+        );
+    }
+
+    return function respondWithError(error, req, res) {
+        // Nothing meaningful can be sent once the response has started
+        if (res.headersSent) return res.end();
+
+        const isLegacy = format === FORMAT_LEGACY;
+
+        error = normalizeError(error, { ignoreBoom: isLegacy && !boomOutput });
+
+        const response = isLegacy
+            ? createLegacyResponse(error, boomOutput)
+            : createProblemResponse(error, req, debug);
+        let json;
+
+        try {
+            json = JSON.stringify(response.payload);
+        } catch (e) {
+            return respondWithError(
+                new Error('Error serializing error: ' + e.message),
+                req,
+                res
+            );
+        }
+
+        try {
+            res.writeHead(
+                error.statusCode,
+                Object.assign(pickResponseHeaders(error.headers), {
+                    'Content-Type': response.contentType,
+                })
+            );
+        } catch (e) {
+            // An invalid status code or header must not leave the request
+            // without a response
+            debuglog('Error sending the error response: %s', e.message);
+
+            res.statusCode = 500;
+
+            return res.end();
+        }
+
+        res.end(json);
+    };
+}
+
+/**
+ * Normalize a value produced as an error so that it is an `Error` having a
+ * `statusCode`, taking the status code and headers of Boom errors into
+ * account
+ *
+ * @param {*} error Error
+ * @param {object} [options] Options
+ * @param {boolean} [options.ignoreBoom] Handle Boom errors like other errors
+ */
+function normalizeError(error, options) {
+    if (!(error instanceof Error)) {
+        error = new Error(
+            (error && error.message) || String(error) || 'Unknown error'
+        );
+    }
+
+    if (error.isBoom && !(options && options.ignoreBoom)) {
+        error.statusCode = error.output.statusCode;
+        error.headers = Object.assign({}, error.output.headers, error.headers);
+    }
+
+    if (!error.statusCode) {
+        error.statusCode = 500;
+    }
+
+    return error;
+}
+
+function pickResponseHeaders(headers) {
+    const picked = {};
+
+    Object.keys(headers || {}).forEach(name => {
+        if (RESPONSE_HEADER_RX.test(name)) picked[name] = headers[name];
+    });
+
+    return picked;
+}
+
+function createLegacyResponse(error, boomOutput) {
+    if (boomOutput && error.isBoom) {
+        return {
+            contentType: 'application/json',
+            payload: error.output.payload,
+        };
+    }
+
+    const payload = {
+        message: error.message,
+        statusCode: error.statusCode,
+    };
+
+    ['code', 'errno', 'error', 'error_description', 'data'].forEach(key => {
+        if (error[key]) payload[key] = error[key];
+    });
+
+    if (error.statusCode === 500 && error.stack) {
+        payload.stack = error.stack;
+    }
+
+    return { contentType: 'application/json', payload };
+}
+
+function createProblemResponse(error, req, debug) {
+    const isServerError = error.statusCode >= 500;
+    const payload = {
+        type: 'about:blank',
+        title: Http.STATUS_CODES[error.statusCode] || 'Unknown Error',
+        status: error.statusCode,
+    };
+
+    if (!isServerError || debug) {
+        payload.detail = error.message;
+    }
+
+    // The data of client errors, such as validation details, is meant for
+    // the client and is sent as extension members
+    if (!isServerError && error.data && typeof error.data === 'object') {
+        Object.keys(error.data).forEach(key => {
+            if (payload[key] === undefined) payload[key] = error.data[key];
+        });
+    }
+
+    if (req.x_wt && req.x_wt.req_id) {
+        payload.instance = req.x_wt.req_id;
+    }
+
+    if (debug && error.stack) {
+        payload.stack = error.stack;
+    }
+
+    return { contentType: 'application/problem+json', payload };
+}
@@ -0,0 +1,221 @@
+'use strict';
+
+const Joi = require('joi');
+
+const STRING_FORMATS = {
+    'date-time': schema => schema.isoDate(),
+    email: schema => schema.email(),
+    hostname: schema => schema.hostname(),
+    ipv4: schema => schema.ip({ version: ['ipv4'], cidr: 'forbidden' }),
+    ipv6: schema => schema.ip({ version: ['ipv6'], cidr: 'forbidden' }),
+    uri: schema => schema.uri(),
+    uuid: schema => schema.guid(),
+};
+
+module.exports = {
+    toJoi,
+};
+
+/**
+ * Convert a JSON Schema to an equivalent Joi schema
+ *
+ * The `type`, `enum`, `const`, `default`, `anyOf` and `oneOf` keywords are
+ * supported along with the validation keywords of strings, numbers, arrays
+ * and objects. Other keywords, such as `title`, are ignored. Unlike Joi,
+ * JSON Schema allows empty strings and unknown object properties by default.
+ *
+ * @param {object|boolean} schema JSON Schema
+ * @param {string} [path] Location of the schema, for error messages
+ * @returns {object} Joi schema
+ */
+function toJoi(schema, path) {
+    path = path || '#';
+
+    if (schema === true || schema === undefined) return Joi.any();
+    if (schema === false) return Joi.any().forbidden();
+
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error(`The JSON Schema at ${path} must be an object`);
+    }
+
+    let joiSchema;
+
+    if (schema.anyOf || schema.oneOf) {
+        const keyword = schema.anyOf ? 'anyOf' : 'oneOf';
+
+        joiSchema = Joi.alternatives().try(
+            schema[keyword].map((subschema, idx) =>
+                toJoi(subschema, `${path}/${keyword}/${idx}`)
+            )
+        );
+    } else if (Array.isArray(schema.type)) {
+        joiSchema = Joi.alternatives().try(
+            schema.type.map(type =>
+                createTypedSchema(Object.assign({}, schema, { type }), path)
+            )
+        );
+    } else {
+        joiSchema = createTypedSchema(schema, path);
+    }
+
+    if (schema.enum) joiSchema = joiSchema.valid(schema.enum);
+    if (schema.const !== undefined) joiSchema = joiSchema.valid(schema.const);
+    if (schema.default !== undefined) {
+        joiSchema = joiSchema.default(schema.default);
+    }
+    if (schema.description) {
+        joiSchema = joiSchema.description(schema.description);
+    }
+
+    return joiSchema;
+}
+
+function createArraySchema(schema, path) {
+    let joiSchema = Joi.array();
+
+    if (schema.items !== undefined) {
+        joiSchema = joiSchema.items(toJoi(schema.items, `${path}/items`));
+    }
+    if (schema.minItems !== undefined) {
+        joiSchema = joiSchema.min(schema.minItems);
+    }
+    if (schema.maxItems !== undefined) {
+        joiSchema = joiSchema.max(schema.maxItems);
+    }
+    if (schema.uniqueItems) joiSchema = joiSchema.unique();
+
+    return joiSchema;
+}
+
+function createNumberSchema(schema, isInteger) {
+    let joiSchema = isInteger ? Joi.number().integer() : Joi.number();
+
+    if (schema.minimum !== undefined) {
+        joiSchema = joiSchema.min(schema.minimum);
+    }
+    if (schema.maximum !== undefined) {
+        joiSchema = joiSchema.max(schema.maximum);
+    }
+    if (typeof schema.exclusiveMinimum === 'number') {
+        joiSchema = joiSchema.greater(schema.exclusiveMinimum);
+    }
+    if (typeof schema.exclusiveMaximum === 'number') {
+        joiSchema = joiSchema.less(schema.exclusiveMaximum);
+    }
+    if (schema.multipleOf !== undefined) {
+        joiSchema = joiSchema.multiple(schema.multipleOf);
+    }
+
+    return joiSchema;
+}
+
+function createObjectSchema(schema, path) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const keys = {};
+
+    Object.keys(properties).forEach(name => {
+        const propertySchema = toJoi(
+            properties[name],
+            `${path}/properties/${name}`
+        );
+
+        keys[name] =
+            required.indexOf(name) === -1
+                ? propertySchema
+                : propertySchema.required();
+    });
+
+    // Required properties without a schema of their own
+    required.forEach(name => {
+        if (!keys[name]) keys[name] = Joi.any().required();
+    });
+
+    let joiSchema = Joi.object().keys(keys);
+
+    if (schema.additionalProperties === false) {
+        joiSchema = joiSchema.unknown(false);
+    } else if (
+        schema.additionalProperties &&
+        typeof schema.additionalProperties === 'object'
+    ) {
+        joiSchema = joiSchema.pattern(
+            /^/,
+            toJoi(schema.additionalProperties, `${path}/additionalProperties`)
+        );
+    } else {
+        joiSchema = joiSchema.unknown(true);
+    }
+
+    if (schema.minProperties !== undefined) {
+        joiSchema = joiSchema.min(schema.minProperties);
+    }
+    if (schema.maxProperties !== undefined) {
+        joiSchema = joiSchema.max(schema.maxProperties);
+    }
+
+    return joiSchema;
+}
+
+function createStringSchema(schema, path) {
+    const pattern =
+        schema.pattern !== undefined ? new RegExp(schema.pattern) : null;
+    let joiSchema = Joi.string();
+
+    // Allowed values bypass Joi's rules, so only allow empty strings when the
+    // rules would accept them
+    if (
+        !(schema.minLength > 0) &&
+        !(pattern && !pattern.test('')) &&
+        schema.format === undefined
+    ) {
+        joiSchema = joiSchema.allow('');
+    }
+    if (schema.minLength !== undefined) {
+        joiSchema = joiSchema.min(schema.minLength);
+    }
+    if (schema.maxLength !== undefined) {
+        joiSchema = joiSchema.max(schema.maxLength);
+    }
+    if (pattern) joiSchema = joiSchema.regex(pattern);
+    if (schema.format !== undefined) {
+        const format = STRING_FORMATS[schema.format];
+
+        if (!format) {
+            throw new Error(
+                `The JSON Schema at ${path} has the unsupported format '${schema.format}'`
+            );
+        }
+
+        joiSchema = format(joiSchema);
+    }
+
+    return joiSchema;
+}
+
+function createTypedSchema(schema, path) {
+    switch (schema.type) {
+        case 'array':
+            return createArraySchema(schema, path);
+        case 'boolean':
+            return Joi.boolean();
+        case 'integer':
+            return createNumberSchema(schema, true);
+        case 'null':
+            return Joi.valid(null);
+        case 'number':
+            return createNumberSchema(schema, false);
+        case 'object':
+            return createObjectSchema(schema, path);
+        case 'string':
+            return createStringSchema(schema, path);
+        case undefined:
+            return schema.properties || schema.required
+                ? createObjectSchema(schema, path)
+                : Joi.any();
+        default:
+            throw new Error(
+                `The JSON Schema at ${path} has the unsupported type '${schema.type}'`
+            );
+    }
+}
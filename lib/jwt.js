@@ -0,0 +1,181 @@
+'use strict';
+
+const Crypto = require('crypto');
+
+const ALGORITHMS = {
+    ES256: { digest: 'sha256', kty: 'EC', crv: 'P-256' },
+    HS256: { digest: 'sha256', kty: 'oct' },
+    RS256: { digest: 'sha256', kty: 'RSA' },
+};
+
+module.exports = {
+    ALGORITHMS,
+    decode,
+    selectJwk,
+    validateClaims,
+    verifySignature,
+};
+
+/**
+ * Decode a compact JWT without verifying it
+ *
+ * @param {string} token Compact JWT
+ * @returns {{header: object, payload: object, signature: Buffer, signingInput: string}} Decoded token
+ */
+function decode(token) {
+    const parts = (token || '').split('.');
+
+    if (parts.length !== 3) {
+        throw new Error('The token is not a JSON Web Token');
+    }
+
+    let header;
+    let payload;
+
+    try {
+        header = JSON.parse(decodeBase64Url(parts[0]).toString('utf8'));
+        payload = JSON.parse(decodeBase64Url(parts[1]).toString('utf8'));
+    } catch (e) {
+        throw new Error('The token is not a JSON Web Token');
+    }
+
+    if (!isObject(header) || !isObject(payload)) {
+        throw new Error('The token is not a JSON Web Token');
+    }
+
+    return {
+        header,
+        payload,
+        signature: decodeBase64Url(parts[2]),
+        signingInput: `${parts[0]}.${parts[1]}`,
+    };
+}
+
+/**
+ * Select the key of a JSON Web Key Set that can verify a token
+ *
+ * @param {object} jwks JSON Web Key Set
+ * @param {object} header Decoded token header
+ * @returns {object|undefined} Matching JSON Web Key
+ */
+function selectJwk(jwks, header) {
+    const algorithm = ALGORITHMS[header.alg];
+    const keys = jwks && Array.isArray(jwks.keys) ? jwks.keys : [];
+
+    if (!algorithm) return undefined;
+
+    return keys.find(
+        jwk =>
+            jwk.kty === algorithm.kty &&
+            (!algorithm.crv || jwk.crv === algorithm.crv) &&
+            (!jwk.alg || jwk.alg === header.alg) &&
+            (!jwk.use || jwk.use === 'sig') &&
+            (header.kid === undefined || jwk.kid === header.kid)
+    );
+}
+
+/**
+ * Validate the registered claims of a token's payload
+ *
+ * @param {object} payload Decoded token payload
+ * @param {object} options Options
+ * @param {string[]} [options.audiences] Accepted audiences
+ * @param {number} [options.clockTolerance] Tolerated clock skew in seconds
+ * @param {string[]} [options.issuers] Accepted issuers
+ * @param {number} [options.now] Current time in seconds
+ */
+function validateClaims(payload, options) {
+    const now =
+        options.now === undefined ? Math.floor(Date.now() / 1000) : options.now;
+    const tolerance = options.clockTolerance || 0;
+
+    if (payload.exp !== undefined) {
+        if (typeof payload.exp !== 'number') {
+            throw new Error('The token has an invalid exp claim');
+        }
+
+        if (now >= payload.exp + tolerance) {
+            throw new Error('The token has expired');
+        }
+    }
+
+    if (payload.nbf !== undefined) {
+        if (typeof payload.nbf !== 'number') {
+            throw new Error('The token has an invalid nbf claim');
+        }
+
+        if (now < payload.nbf - tolerance) {
+            throw new Error('The token is not yet valid');
+        }
+    }
+
+    if (options.issuers && options.issuers.length) {
+        if (options.issuers.indexOf(payload.iss) === -1) {
+            throw new Error('The token was not issued by a trusted issuer');
+        }
+    }
+
+    if (options.audiences && options.audiences.length) {
+        const audiences = Array.isArray(payload.aud)
+            ? payload.aud
+            : [payload.aud];
+
+        if (!audiences.some(aud => options.audiences.indexOf(aud) !== -1)) {
+            throw new Error('The token is not intended for this audience');
+        }
+    }
+}
+
+/**
+ * Verify the signature of a decoded token
+ *
+ * @param {object} decoded Token produced by `decode`
+ * @param {string|Buffer|crypto.KeyObject|object} key Shared secret for HS256,
+ *  or a PEM public key, `KeyObject` or JSON Web Key for RS256 and ES256
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifySignature(decoded, key) {
+    const alg = decoded.header.alg;
+    const algorithm = ALGORITHMS[alg];
+
+    if (!algorithm) {
+        throw new Error(`The token uses the unsupported algorithm '${alg}'`);
+    }
+
+    if (alg === 'HS256') {
+        const secret = isObject(key) ? decodeBase64Url(key.k || '') : key;
+        const expected = Crypto.createHmac(algorithm.digest, secret)
+            .update(decoded.signingInput)
+            .digest();
+
+        return (
+            expected.length === decoded.signature.length &&
+            Crypto.timingSafeEqual(expected, decoded.signature)
+        );
+    }
+
+    const publicKey =
+        key instanceof Crypto.KeyObject
+            ? key
+            : isObject(key)
+              ? Crypto.createPublicKey({ key, format: 'jwk' })
+              : Crypto.createPublicKey(key);
+
+    return Crypto.verify(
+        algorithm.digest,
+        Buffer.from(decoded.signingInput),
+        // JWS uses the fixed-size r || s encoding of ECDSA signatures
+        alg === 'ES256'
+            ? { key: publicKey, dsaEncoding: 'ieee-p1363' }
+            : publicKey,
+        decoded.signature
+    );
+}
+
+function decodeBase64Url(value) {
+    return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
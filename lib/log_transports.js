@@ -0,0 +1,414 @@
+'use strict';
+
+const Dgram = require('dgram');
+const Net = require('net');
+const Os = require('os');
+const Util = require('./util');
+
+const DEFAULT_HTTP_BATCH_SIZE = 100;
+const DEFAULT_HTTP_INTERVAL = 1;
+const DEFAULT_HTTP_RETRIES = 3;
+const DEFAULT_SYSLOG_FACILITY = 1;
+const DEFAULT_SYSLOG_PORT = 514;
+const DEFAULT_TRANSPORTS = 'console';
+const HTTP_RETRY_DELAY = 100;
+const HTTP_TIMEOUT = 5000;
+// Number of configurations whose transports are kept for later requests
+const MAX_CACHED_CONFIGURATIONS = 16;
+const META_PROP_HTTP_BATCH_SIZE = 'wt-log-http-batch-size';
+const META_PROP_HTTP_INTERVAL = 'wt-log-http-interval';
+const META_PROP_HTTP_RETRIES = 'wt-log-http-retries';
+const META_PROP_SYSLOG_FACILITY = 'wt-log-syslog-facility';
+const META_PROP_SYSLOG_HOST = 'wt-log-syslog-host';
+const META_PROP_SYSLOG_PORT = 'wt-log-syslog-port';
+const META_PROP_TRANSPORTS = 'wt-log-transports';
+const SECRET_HTTP_TOKEN = 'wt-log-http-token';
+const SECRET_HTTP_URL = 'wt-log-http-url';
+
+// Syslog severities of log levels
+const SYSLOG_SEVERITIES = {
+    debug: 7,
+    error: 3,
+    info: 6,
+    warn: 4,
+};
+
+const TRANSPORTS = {
+    console: createConsoleTransport,
+    http: createHttpTransport,
+    syslog: createSyslogTransport,
+};
+
+// Transports by configuration, so that batches and sockets are shared by the
+// requests handled by the same process. The least recently used
+// configurations are evicted.
+const transportsCache = new Map();
+
+module.exports = {
+    create,
+    createConsoleTransport,
+    createHttpTransport,
+    createSyslogTransport,
+    flush,
+};
+
+/**
+ * Create the transports selected by the `wt-log-transports` metadata, which
+ * is a comma-separated list of `console`, `http`, `syslog` or the specs of
+ * functions having the form `function({ meta, secrets })` that return custom
+ * transports
+ *
+ * A transport has a `write(line, level)` function receiving serialized log
+ * records and may have a `flush(cb)` function that sends buffered records and
+ * a `close()` function that releases its resources, such as sockets. Once
+ * the transports of too many other configurations were created since their
+ * last use, they are flushed and closed.
+ *
+ * @param {object} meta Webtask metadata
+ * @param {object} [secrets] Webtask secrets
+ * @returns {Array<{write: function, flush: function}>} Transports
+ */
+function create(meta, secrets) {
+    const specs = (meta[META_PROP_TRANSPORTS] || DEFAULT_TRANSPORTS)
+        .split(',')
+        .map(spec => spec.trim())
+        .filter(Boolean);
+    const cacheKey = JSON.stringify([
+        specs,
+        Object.keys(meta)
+            .filter(name => /^wt-log-/.test(name))
+            .sort()
+            .map(name => [name, meta[name]]),
+        secrets && [secrets[SECRET_HTTP_TOKEN], secrets[SECRET_HTTP_URL]],
+    ]);
+
+    if (transportsCache.has(cacheKey)) {
+        const cached = transportsCache.get(cacheKey);
+
+        // Keep the most recently used configurations last
+        transportsCache.delete(cacheKey);
+        transportsCache.set(cacheKey, cached);
+
+        return cached;
+    }
+
+    const options = { meta, secrets: secrets || {} };
+    const transports = specs.map(spec => {
+        const transport = TRANSPORTS[spec]
+            ? TRANSPORTS[spec](options)
+            : createCustomTransport(spec, options);
+
+        if (!transport || typeof transport.write !== 'function') {
+            throw new Error(
+                `The log transport '${spec}' must have a write function`
+            );
+        }
+
+        return transport;
+    });
+
+    transportsCache.set(cacheKey, transports);
+
+    if (transportsCache.size > MAX_CACHED_CONFIGURATIONS) {
+        const evictedKey = transportsCache.keys().next().value;
+
+        close(transportsCache.get(evictedKey));
+        transportsCache.delete(evictedKey);
+    }
+
+    return transports;
+}
+
+/**
+ * Create a transport emitting records to `stdout`, or to `stderr` for the
+ * `warn` and `error` levels
+ */
+function createConsoleTransport() {
+    return {
+        write(line, level) {
+            const stream =
+                level === 'warn' || level === 'error'
+                    ? process.stderr
+                    : process.stdout;
+
+            stream.write(`${line}\n`);
+        },
+    };
+}
+
+/**
+ * Create a transport sending batches of records as newline-delimited JSON in
+ * `POST` requests to the url in the `wt-log-http-url` secret or metadata
+ *
+ * Records are sent once `wt-log-http-batch-size` of them are buffered or
+ * `wt-log-http-interval` seconds after the first of them. Requests failing
+ * with a network error, a `429` or a `5xx` status code are retried up to
+ * `wt-log-http-retries` times.
+ *
+ * @param {{meta: object, secrets: object}} options Options
+ */
+function createHttpTransport(options) {
+    const meta = options.meta;
+    const secrets = options.secrets;
+    const url = secrets[SECRET_HTTP_URL] || meta[SECRET_HTTP_URL];
+    const batchSize =
+        parseInt(meta[META_PROP_HTTP_BATCH_SIZE], 10) ||
+        DEFAULT_HTTP_BATCH_SIZE;
+    const interval =
+        (parseFloat(meta[META_PROP_HTTP_INTERVAL]) || DEFAULT_HTTP_INTERVAL) *
+        1000;
+    const retries = parseInt(meta[META_PROP_HTTP_RETRIES], 10);
+    const maxAttempts = (retries >= 0 ? retries : DEFAULT_HTTP_RETRIES) + 1;
+    const headers = { 'Content-Type': 'application/x-ndjson' };
+    const flushCallbacks = [];
+    let inFlight = 0;
+    let queue = [];
+    let timer = null;
+
+    if (!url) {
+        throw new Error(
+            `The http log transport requires the ${SECRET_HTTP_URL} secret or metadata`
+        );
+    }
+
+    if (secrets[SECRET_HTTP_TOKEN]) {
+        headers['Authorization'] = `Bearer ${secrets[SECRET_HTTP_TOKEN]}`;
+    }
+
+    return {
+        flush(cb) {
+            while (queue.length) sendBatch();
+
+            if (!inFlight) return process.nextTick(cb);
+
+            flushCallbacks.push(cb);
+        },
+        write(line) {
+            queue.push(line);
+
+            if (queue.length >= batchSize) return sendBatch();
+
+            if (!timer) {
+                timer = setTimeout(() => {
+                    while (queue.length) sendBatch();
+                }, interval);
+                timer.unref();
+            }
+        },
+    };
+
+    function sendBatch() {
+        const batch = queue.slice(0, batchSize);
+
+        queue = queue.slice(batchSize);
+        clearTimeout(timer);
+        timer = null;
+        inFlight++;
+
+        return post(`${batch.join('\n')}\n`, 1, error => {
+            if (error) {
+                reportError(
+                    `Failed to send ${batch.length} log records to the http log transport: ${error.message}`
+                );
+            }
+
+            inFlight--;
+
+            if (!inFlight && !queue.length) {
+                flushCallbacks.splice(0).forEach(cb => cb());
+            }
+        });
+    }
+
+    function post(payload, attempt, cb) {
+        // Loaded lazily since most webtasks do not ship logs over http
+        const Wreck = require('wreck');
+
+        return Wreck.request(
+            'POST',
+            url,
+            { headers, payload, timeout: HTTP_TIMEOUT },
+            (error, res) => {
+                const retryable =
+                    !!error ||
+                    res.statusCode === 429 ||
+                    res.statusCode >= 500;
+
+                // Discard the response so that the socket can be reused
+                if (res) res.resume();
+
+                if (!error && res.statusCode >= 400) {
+                    error = new Error(
+                        `Unexpected status code ${res.statusCode}`
+                    );
+                }
+
+                if (!error || !retryable || attempt >= maxAttempts) {
+                    return cb(error);
+                }
+
+                // Back off exponentially between attempts
+                setTimeout(
+                    () => post(payload, attempt + 1, cb),
+                    HTTP_RETRY_DELAY * Math.pow(2, attempt - 1)
+                ).unref();
+            }
+        );
+    }
+}
+
+/**
+ * Create a transport sending each record as an RFC 5424 syslog message over
+ * UDP to `wt-log-syslog-host` on `wt-log-syslog-port`
+ *
+ * @param {{meta: object}} options Options
+ */
+function createSyslogTransport(options) {
+    const meta = options.meta;
+    const host = meta[META_PROP_SYSLOG_HOST];
+    const port =
+        parseInt(meta[META_PROP_SYSLOG_PORT], 10) || DEFAULT_SYSLOG_PORT;
+    const facility = parseInt(meta[META_PROP_SYSLOG_FACILITY], 10);
+    const facilityCode =
+        facility >= 0 && facility <= 23 ? facility : DEFAULT_SYSLOG_FACILITY;
+    const flushCallbacks = [];
+    const hostname = Os.hostname();
+    let pending = 0;
+    let socket = null;
+
+    if (!host) {
+        throw new Error(
+            `The syslog log transport requires the ${META_PROP_SYSLOG_HOST} metadata`
+        );
+    }
+
+    return {
+        close() {
+            if (socket) socket.close();
+
+            socket = null;
+        },
+        flush(cb) {
+            if (!pending) return process.nextTick(cb);
+
+            flushCallbacks.push(cb);
+        },
+        write(line, level) {
+            const severity =
+                SYSLOG_SEVERITIES[level] === undefined
+                    ? SYSLOG_SEVERITIES.info
+                    : SYSLOG_SEVERITIES[level];
+            const message = Buffer.from(
+                `<${facilityCode * 8 +
+                    severity}>1 ${new Date().toISOString()} ${hostname} webtask ${process.pid} - - ${line}`
+            );
+
+            if (!socket) {
+                socket = Dgram.createSocket(Net.isIPv6(host) ? 'udp6' : 'udp4');
+                socket.on('error', error =>
+                    reportError(
+                        `Error in the syslog log transport: ${error.message}`
+                    )
+                );
+                socket.unref();
+            }
+
+            pending++;
+
+            socket.send(message, port, host, error => {
+                if (error) {
+                    reportError(
+                        `Failed to send a log record to the syslog log transport: ${error.message}`
+                    );
+                }
+
+                pending--;
+
+                if (!pending) flushCallbacks.splice(0).forEach(cb => cb());
+            });
+        },
+    };
+}
+
+/**
+ * Flush the records buffered by transports, waiting at most `timeout`
+ * milliseconds
+ *
+ * @param {object[]} transports Transports produced by `create`
+ * @param {number} timeout Maximum duration in milliseconds
+ * @param {function} cb Callback
+ */
+function flush(transports, timeout, cb) {
+    const flushable = transports.filter(
+        transport => typeof transport.flush === 'function'
+    );
+    let pending = flushable.length;
+    let done = false;
+
+    if (!pending) return process.nextTick(cb);
+
+    const finish = () => {
+        if (done) return;
+
+        done = true;
+        clearTimeout(timer);
+
+        return cb();
+    };
+    const timer = setTimeout(finish, timeout);
+
+    flushable.forEach(transport =>
+        transport.flush(() => {
+            pending--;
+
+            if (!pending) finish();
+        })
+    );
+}
+
+/**
+ * Close transports once the records they buffered are sent
+ *
+ * @param {object[]} transports Transports produced by `create`
+ */
+function close(transports) {
+    return flush(transports, HTTP_TIMEOUT, () =>
+        transports.forEach(transport => {
+            if (typeof transport.close === 'function') transport.close();
+        })
+    );
+}
+
+function createCustomTransport(spec, options) {
+    let createTransport;
+
+    try {
+        createTransport = Util.resolveCompiler(spec, options.secrets);
+    } catch (e) {
+        throw new Error(
+            `Failed to resolve the log transport '${spec}': ${e.message}`
+        );
+    }
+
+    if (typeof createTransport !== 'function') {
+        throw new Error(
+            `The log transport '${spec}' does not reference a function`
+        );
+    }
+
+    return createTransport(options);
+}
+
+/**
+ * Report a failure of a transport to `stderr` directly, since logging it
+ * through the console could fail again
+ */
+function reportError(message) {
+    process.stderr.write(
+        `${JSON.stringify({
+            chunk: message,
+            level: 'error',
+            time: new Date().toISOString(),
+        })}\n`
+    );
+}
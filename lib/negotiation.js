@@ -0,0 +1,279 @@
+'use strict';
+
+const Querystring = require('querystring');
+
+const TYPE_BINARY = 'application/octet-stream';
+const TYPE_CSV = 'text/csv';
+const TYPE_FORM = 'application/x-www-form-urlencoded';
+const TYPE_JSON = 'application/json';
+const TYPE_NDJSON = 'application/x-ndjson';
+const TYPE_TEXT = 'text/plain';
+
+const SERIALIZERS = {
+    [TYPE_CSV]: {
+        contentType: 'text/csv; charset=utf-8',
+        supports: isCsvRows,
+        serialize: serializeCsv,
+    },
+    [TYPE_FORM]: {
+        contentType: TYPE_FORM,
+        supports: isFormObject,
+        serialize: body => Querystring.stringify(body),
+    },
+    [TYPE_JSON]: {
+        contentType: TYPE_JSON,
+        supports: () => true,
+        serialize: body => JSON.stringify(body),
+    },
+    [TYPE_NDJSON]: {
+        contentType: TYPE_NDJSON,
+        supports: body => body !== undefined,
+        serialize: body =>
+            (Array.isArray(body) ? body : [body])
+                .map(item => `${JSON.stringify(item)}\n`)
+                .join(''),
+    },
+    [TYPE_TEXT]: {
+        contentType: 'text/plain; charset=utf-8',
+        supports: body => typeof body === 'string',
+        serialize: body => body,
+    },
+};
+
+module.exports = {
+    negotiate,
+    serialize,
+};
+
+/**
+ * Pick the media type that best satisfies an `Accept` header
+ *
+ * Candidates are listed in order of preference, which breaks ties between
+ * media types that the client accepts equally.
+ *
+ * @param {string} [accept] Value of the `Accept` header
+ * @param {string[]} candidates Media types that can be produced
+ * @returns {string|null} Chosen media type or null if none is acceptable
+ */
+function negotiate(accept, candidates) {
+    if (!accept) return candidates.length ? candidates[0] : null;
+
+    const ranges = parseAccept(accept);
+    let chosen = null;
+    let chosenQuality = 0;
+
+    candidates.forEach(candidate => {
+        const quality = getQuality(ranges, candidate);
+
+        if (quality > chosenQuality) {
+            chosen = candidate;
+            chosenQuality = quality;
+        }
+    });
+
+    return chosen;
+}
+
+/**
+ * Serialize the body of a webtask response
+ *
+ * Buffers and streams are sent as binary, strings as JSON or, when the client
+ * prefers it, text and other values as JSON, NDJSON, url-encoded forms or CSV,
+ * depending on the `Accept` header.
+ * When the response already declares a content type, that type is used
+ * instead of negotiating one.
+ *
+ * @param {*} body Response body
+ * @param {object} options Options
+ * @param {string} [options.accept] Value of the request's `Accept` header
+ * @param {string} [options.contentType] Content type declared by the response
+ * @returns {{body: string|Buffer|stream.Readable, contentType: string, negotiated: boolean}} Serialized body
+ */
+function serialize(body, options) {
+    const isRaw = Buffer.isBuffer(body) || isStream(body);
+
+    if (options.contentType) {
+        if (isRaw || typeof body === 'string') {
+            return {
+                body,
+                contentType: options.contentType,
+                negotiated: false,
+            };
+        }
+
+        const serializer = SERIALIZERS[getMediaType(options.contentType)];
+
+        return {
+            body: runSerializer(
+                serializer && serializer.supports(body)
+                    ? serializer
+                    : SERIALIZERS[TYPE_JSON],
+                body
+            ),
+            contentType: options.contentType,
+            negotiated: false,
+        };
+    }
+
+    const candidates = isRaw
+        ? [TYPE_BINARY]
+        : typeof body === 'string'
+          ? [TYPE_JSON, TYPE_TEXT]
+          : [TYPE_JSON, TYPE_NDJSON, TYPE_FORM, TYPE_CSV].filter(type =>
+                SERIALIZERS[type].supports(body)
+            );
+    const mediaType = negotiate(options.accept, candidates);
+
+    if (!mediaType) {
+        const error = new Error(
+            `None of the available media types are acceptable: ${candidates.join(
+                ', '
+            )}`
+        );
+
+        error.statusCode = 406;
+        error.data = { supportedMediaTypes: candidates };
+
+        throw error;
+    }
+
+    if (isRaw) {
+        return { body, contentType: TYPE_BINARY, negotiated: true };
+    }
+
+    return {
+        body: runSerializer(SERIALIZERS[mediaType], body),
+        contentType: SERIALIZERS[mediaType].contentType,
+        negotiated: true,
+    };
+}
+
+function getMediaType(contentType) {
+    return contentType
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Get the quality that the most specific matching media range assigns to a
+ * media type
+ *
+ * @param {Array<{type: string, subtype: string, q: number}>} ranges Parsed media ranges
+ * @param {string} mediaType Media type
+ */
+function getQuality(ranges, mediaType) {
+    const parts = mediaType.split('/');
+    let quality = 0;
+    let specificity = -1;
+
+    ranges.forEach(range => {
+        const rangeSpecificity =
+            range.type === parts[0] && range.subtype === parts[1]
+                ? 2
+                : range.type === parts[0] && range.subtype === '*'
+                  ? 1
+                  : range.type === '*' && range.subtype === '*' ? 0 : -1;
+
+        if (rangeSpecificity > specificity) {
+            quality = range.q;
+            specificity = rangeSpecificity;
+        }
+    });
+
+    return quality;
+}
+
+function isCsvRows(body) {
+    const rows = Array.isArray(body) ? body : [body];
+
+    return rows.length > 0 && rows.every(isPlainObject);
+}
+
+function isFormObject(body) {
+    const isPrimitive = value =>
+        value === null ||
+        ['boolean', 'number', 'string'].indexOf(typeof value) !== -1;
+
+    return (
+        isPlainObject(body) &&
+        Object.keys(body).every(
+            key =>
+                isPrimitive(body[key]) ||
+                (Array.isArray(body[key]) && body[key].every(isPrimitive))
+        )
+    );
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStream(value) {
+    return !!value && typeof value.pipe === 'function';
+}
+
+function parseAccept(accept) {
+    return accept.split(',').reduce((ranges, part) => {
+        const params = part.split(';');
+        const mediaRange = params
+            .shift()
+            .trim()
+            .toLowerCase()
+            .split('/');
+        let q = 1;
+
+        if (mediaRange.length !== 2) return ranges;
+
+        params.forEach(param => {
+            const pair = param.split('=');
+
+            if (pair[0].trim().toLowerCase() === 'q') {
+                q = parseFloat(pair[1]);
+            }
+        });
+
+        ranges.push({
+            type: mediaRange[0],
+            subtype: mediaRange[1],
+            q: isNaN(q) ? 0 : q,
+        });
+
+        return ranges;
+    }, []);
+}
+
+function runSerializer(serializer, body) {
+    try {
+        return serializer.serialize(body);
+    } catch (e) {
+        throw new Error("Error when serializing the webtask's response data");
+    }
+}
+
+function serializeCsv(body) {
+    const rows = Array.isArray(body) ? body : [body];
+    const columns = [];
+
+    rows.forEach(row =>
+        Object.keys(row).forEach(key => {
+            if (columns.indexOf(key) === -1) columns.push(key);
+        })
+    );
+
+    const formatCell = value => {
+        const text =
+            value === null || value === undefined
+                ? ''
+                : typeof value === 'object'
+                  ? JSON.stringify(value)
+                  : String(value);
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns]
+        .concat(rows.map(row => columns.map(column => row[column])))
+        .map(cells => `${cells.map(formatCell).join(',')}\r\n`)
+        .join('');
+}
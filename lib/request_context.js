@@ -0,0 +1,39 @@
+'use strict';
+
+const AsyncHooks = require('async_hooks');
+
+// A global instance so that contexts are shared across copies of this module
+const STORAGE_KEY = Symbol.for('webtask-hacks.requestContext');
+const storage =
+    global[STORAGE_KEY] ||
+    (global[STORAGE_KEY] = new AsyncHooks.AsyncLocalStorage());
+
+module.exports = {
+    getRequestContext,
+    run,
+};
+
+/**
+ * Get the context of the request being handled by the current synchronous
+ * or asynchronous continuation
+ *
+ * The context has `requestId` and `webtaskId` properties. Middleware may add
+ * their own properties, which the `jsonLogger` middleware includes in log
+ * records.
+ *
+ * @returns {object|undefined} Request context, if any
+ */
+function getRequestContext() {
+    return storage.getStore();
+}
+
+/**
+ * Run a function with a request context that is available to all of the
+ * continuations it starts
+ *
+ * @param {object} context Request context
+ * @param {function} fn Function
+ */
+function run(context, fn) {
+    return storage.run(context, fn);
+}
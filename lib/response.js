@@ -0,0 +1,108 @@
+'use strict';
+
+// A global symbol so that envelopes are recognized across copies of this module
+const RESPONSE_MARKER = Symbol.for('webtask-hacks.response');
+
+module.exports = {
+    appendVary,
+    create,
+    getHeader,
+    isEmptyStatus,
+    isResponse,
+};
+
+/**
+ * Add a header name to the `Vary` header of a response, unless it is already
+ * listed or the response varies on everything
+ *
+ * @param {http.ServerResponse} res Response
+ * @param {string} name Header name
+ */
+function appendVary(res, name) {
+    const vary = res.getHeader('Vary');
+    const names = (vary ? String(vary) : '')
+        .split(',')
+        .map(existing => existing.trim())
+        .filter(Boolean);
+
+    if (names.indexOf('*') !== -1) return;
+
+    if (
+        names.every(existing => existing.toLowerCase() !== name.toLowerCase())
+    ) {
+        res.setHeader('Vary', names.concat(name).join(', '));
+    }
+}
+
+/**
+ * Create a response envelope that a webtask using the `function(cb)` or
+ * `function(ctx, cb)` signature can produce to control the status code and
+ * headers of its response
+ *
+ * @param {object} [options] Options
+ * @param {number} [options.statusCode] Status code; defaults to `200`
+ * @param {object} [options.headers] Response headers
+ * @param {*} [options.body] Response body
+ */
+function create(options) {
+    options = options || {};
+
+    const statusCode =
+        options.statusCode === undefined ? 200 : options.statusCode;
+
+    if (
+        typeof statusCode !== 'number' ||
+        statusCode % 1 !== 0 ||
+        statusCode < 100 ||
+        statusCode > 599
+    ) {
+        throw new Error(`Invalid response status code: ${statusCode}`);
+    }
+
+    const response = {
+        statusCode,
+        headers: Object.assign({}, options.headers),
+        body: options.body,
+    };
+
+    Object.defineProperty(response, RESPONSE_MARKER, { value: true });
+
+    return response;
+}
+
+/**
+ * Get the value of a header using a case-insensitive name
+ *
+ * @param {object} headers Headers
+ * @param {string} name Header name
+ */
+function getHeader(headers, name) {
+    const lowerCaseName = name.toLowerCase();
+    const key = Object.keys(headers).find(
+        key => key.toLowerCase() === lowerCaseName
+    );
+
+    return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Determine whether responses with a status code never have a body
+ *
+ * @param {number} statusCode Status code
+ */
+function isEmptyStatus(statusCode) {
+    return statusCode === 204 || statusCode === 304 || statusCode < 200;
+}
+
+/**
+ * Determine whether a value is a response envelope produced by `create`
+ *
+ * @param {*} value Value to test
+ */
+function isResponse(value) {
+    return (
+        !!value &&
+        typeof value === 'object' &&
+        value[RESPONSE_MARKER] === true
+    );
+}
@@ -0,0 +1,189 @@
+'use strict';
+
+const Util = require('./util');
+
+const PATH_TOKEN_RX = /(\*|:[A-Za-z_$][\w$]*)/;
+
+module.exports = {
+    create,
+};
+
+/**
+ * Create a function that matches requests against the `method`, `path` and
+ * `unless` properties of a middleware spec object
+ *
+ * The returned function produces the path parameters of matching requests
+ * and `null` for requests outside the scope of the middleware. Request paths
+ * are normalized before being matched and, like Express routes, match path
+ * patterns regardless of case unless the spec's `caseSensitive` property is
+ * `true`.
+ *
+ * @param {object} spec Middleware spec object
+ * @returns {function|null} Matcher function or null if the spec is not scoped
+ */
+function create(spec) {
+    if (
+        spec.caseSensitive !== undefined &&
+        typeof spec.caseSensitive !== 'boolean'
+    ) {
+        throw new Error(
+            `The 'caseSensitive' of the middleware spec '${spec.use}' must be a boolean`
+        );
+    }
+
+    const options = { caseSensitive: !!spec.caseSensitive };
+    const include = createCondition(spec.use, spec, options);
+    let exclude = null;
+
+    if (spec.unless !== undefined) {
+        if (
+            !spec.unless ||
+            typeof spec.unless !== 'object' ||
+            Array.isArray(spec.unless)
+        ) {
+            throw new Error(
+                `The 'unless' of the middleware spec '${spec.use}' must be an object`
+            );
+        }
+
+        exclude = createCondition(spec.use, spec.unless, options);
+    }
+
+    if (!include && !exclude) return null;
+
+    return function matchRequest(req) {
+        const path = normalizePath(Util.getWebtaskPath(req));
+        const params = include ? include(req.method, path) : {};
+
+        if (!params) return null;
+        if (exclude && exclude(req.method, path)) return null;
+
+        return params;
+    };
+}
+
+function createCondition(use, condition, options) {
+    const methods = toStringArray(use, 'method', condition.method);
+    const patterns = toStringArray(use, 'path', condition.path);
+
+    if (!methods && !patterns) return null;
+
+    const upperCaseMethods = methods
+        ? methods.map(method => method.toUpperCase())
+        : null;
+    const pathMatchers = patterns
+        ? patterns.map(pattern => compilePathPattern(use, pattern, options))
+        : null;
+
+    return function matchCondition(method, path) {
+        if (upperCaseMethods && upperCaseMethods.indexOf(method) === -1) {
+            return null;
+        }
+
+        if (!pathMatchers) return {};
+
+        for (let idx = 0; idx < pathMatchers.length; idx++) {
+            const params = pathMatchers[idx](path);
+
+            if (params) return params;
+        }
+
+        return null;
+    };
+}
+
+/**
+ * Compile a path pattern where `*` matches any sequence of characters and
+ * `:name` matches a single path segment captured as a parameter
+ *
+ * @param {string} use Middleware reference, for error messages
+ * @param {string} pattern Path pattern
+ * @param {{caseSensitive: boolean}} options Options
+ */
+function compilePathPattern(use, pattern, options) {
+    if (pattern.charAt(0) !== '/') {
+        throw new Error(
+            `The path pattern '${pattern}' of the middleware spec '${use}' must start with '/'`
+        );
+    }
+
+    const names = [];
+    const source = pattern
+        .split(PATH_TOKEN_RX)
+        .map(part => {
+            if (part === '*') return '.*';
+
+            if (PATH_TOKEN_RX.test(part)) {
+                names.push(part.slice(1));
+
+                return '([^/]+)';
+            }
+
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    const rx = new RegExp(`^${source}/?$`, options.caseSensitive ? '' : 'i');
+
+    return function matchPath(path) {
+        const matches = rx.exec(path);
+
+        if (!matches) return null;
+
+        try {
+            return names.reduce((params, name, idx) => {
+                params[name] = decodeURIComponent(matches[idx + 1]);
+
+                return params;
+            }, {});
+        } catch (__) {
+            // Malformed percent-encoding can never match a parameter
+            return null;
+        }
+    };
+}
+
+/**
+ * Normalize a request path so that the different spellings of a path, such
+ * as `//admin` or `/%61dmin` for `/admin`, match the same patterns
+ *
+ * Empty segments are removed and percent-encoded characters are decoded,
+ * except for `%` and `/`, which remain encoded so that decoding neither
+ * creates segments nor applies twice.
+ *
+ * @param {string} path Request path
+ */
+function normalizePath(path) {
+    const segments = path
+        .split('/')
+        .filter(segment => segment)
+        .map(segment => {
+            try {
+                return decodeURIComponent(segment)
+                    .replace(/%/g, '%25')
+                    .replace(/\//g, '%2F');
+            } catch (__) {
+                // Malformed percent-encoding is matched as is
+                return segment;
+            }
+        });
+    const trailingSlash = segments.length && /\/$/.test(path) ? '/' : '';
+
+    return `/${segments.join('/')}${trailingSlash}`;
+}
+
+function toStringArray(use, name, value) {
+    if (value === undefined) return null;
+
+    const values = Array.isArray(value) ? value : [value];
+
+    if (
+        !values.length ||
+        values.some(value => typeof value !== 'string' || !value)
+    ) {
+        throw new Error(
+            `The '${name}' of the middleware spec '${use}' must be a string or an array of strings`
+        );
+    }
+
+    return values;
+}
@@ -0,0 +1,266 @@
+'use strict';
+
+const Util = require('./util');
+
+const BACKEND_MEMORY = 'memory';
+const BACKEND_WEBTASK = 'webtask';
+const BACKENDS = [BACKEND_MEMORY, BACKEND_WEBTASK];
+const MAX_CONFLICT_RETRIES = 10;
+const META_PROP_STORAGE = 'wt-storage';
+// Property of the webtask storage document holding the values of the stores,
+// so that they do not clash with the webtask's own data
+const WEBTASK_STORAGE_PROP = 'webtask-hacks';
+
+// Values of the memory backend, by namespace, shared by the requests handled
+// by the same process
+const memoryNamespaces = new Map();
+
+module.exports = {
+    create,
+    getNamespace,
+};
+
+/**
+ * Create a key-value store backed by the storage selected in the
+ * `wt-storage` metadata
+ *
+ * The `webtask` backend, used by default unless the `defaultBackend` option
+ * says otherwise, keeps values in the webtask's `ctx.storage` document. The `memory` backend keeps them in the memory of
+ * the current process, which makes it a stand-in for tests and local runs.
+ * Any other value is a spec, such as `module_name/export_name`, of a function
+ * having the form `function(ctx, options)` that returns a custom store.
+ *
+ * Values having an `expiresAt` timestamp, in milliseconds, are deleted from
+ * the `webtask` and `memory` backends by the first update following their
+ * expiry, so that values of clients or keys that are never seen again do not
+ * accumulate.
+ *
+ * @param {object} ctx Webtask context
+ * @param {object} [options] Options
+ * @param {string} [options.defaultBackend] Backend used when the metadata
+ *  selects none, `webtask` by default
+ * @param {string} [options.namespace] Namespace isolating the values of the
+ *  memory backend, typically identifying the webtask
+ * @returns {{get: function, update: function}} Store
+ */
+function create(ctx, options) {
+    const backend =
+        (ctx.meta && ctx.meta[META_PROP_STORAGE]) ||
+        (options && options.defaultBackend) ||
+        BACKEND_WEBTASK;
+
+    if (BACKENDS.indexOf(backend) === -1) {
+        return createCustomStore(backend, ctx, options);
+    }
+
+    if (backend === BACKEND_MEMORY) {
+        return createMemoryStore((options && options.namespace) || '');
+    }
+
+    if (!ctx.storage) {
+        throw new Error('The webtask context does not provide storage');
+    }
+
+    return createWebtaskStore(ctx.storage);
+}
+
+/**
+ * Get the namespace identifying the webtask handling a request
+ *
+ * @param {http.IncomingMessage} req Request having the `x_wt` webtask properties
+ */
+function getNamespace(req) {
+    return req.x_wt ? `${req.x_wt.container}/${req.x_wt.jtn}` : '';
+}
+
+function createCustomStore(spec, ctx, options) {
+    let createStore;
+
+    try {
+        createStore = Util.resolveCompiler(spec, ctx.secrets);
+    } catch (e) {
+        throw new Error(
+            `Failed to resolve the ${META_PROP_STORAGE} metadata '${spec}': ${e.message}`
+        );
+    }
+
+    if (typeof createStore !== 'function') {
+        throw new Error(
+            `The ${META_PROP_STORAGE} metadata '${spec}' does not reference a function`
+        );
+    }
+
+    const store = createStore(ctx, options || {});
+
+    if (
+        !store ||
+        typeof store.get !== 'function' ||
+        typeof store.update !== 'function'
+    ) {
+        throw new Error(
+            `The store created by the ${META_PROP_STORAGE} metadata '${spec}' must have get and update functions`
+        );
+    }
+
+    return store;
+}
+
+function createMemoryStore(namespace) {
+    if (!memoryNamespaces.has(namespace)) {
+        memoryNamespaces.set(namespace, new Map());
+    }
+
+    const values = memoryNamespaces.get(namespace);
+
+    return {
+        get(key, cb) {
+            const value = copy(values.get(key));
+
+            return process.nextTick(() => cb(null, value));
+        },
+        update(key, fn, cb) {
+            let value;
+
+            // Memory updates are atomic since `fn` runs synchronously
+            try {
+                value = fn(copy(values.get(key)));
+            } catch (error) {
+                return process.nextTick(() => cb(error));
+            }
+
+            const now = Date.now();
+
+            values.forEach((storedValue, storedKey) => {
+                if (isExpired(storedValue, now)) values.delete(storedKey);
+            });
+
+            if (value === undefined) {
+                values.delete(key);
+            } else {
+                values.set(key, copy(value));
+            }
+
+            return process.nextTick(() => cb(null, value));
+        },
+    };
+}
+
+function createWebtaskStore(storage) {
+    return {
+        get(key, cb) {
+            return storage.get((error, data) => {
+                if (error) return cb(error);
+
+                let values;
+
+                try {
+                    values = getWebtaskValues(data);
+                } catch (error) {
+                    return cb(error);
+                }
+
+                return cb(null, values[key]);
+            });
+        },
+        update(key, fn, cb) {
+            let attempts = 0;
+
+            return attempt();
+
+            function attempt() {
+                attempts++;
+
+                return storage.get((error, data) => {
+                    if (error) return cb(error);
+
+                    const now = Date.now();
+                    let values;
+                    let value;
+
+                    try {
+                        values = Object.assign({}, getWebtaskValues(data));
+                        value = fn(values[key]);
+                    } catch (error) {
+                        return cb(error);
+                    }
+
+                    Object.keys(values).forEach(storedKey => {
+                        if (isExpired(values[storedKey], now)) {
+                            delete values[storedKey];
+                        }
+                    });
+
+                    if (value === undefined) {
+                        delete values[key];
+                    } else {
+                        values[key] = value;
+                    }
+
+                    const nextData = Object.assign({}, data, {
+                        [WEBTASK_STORAGE_PROP]: values,
+                    });
+
+                    return storage.set(nextData, error => {
+                        // Another request changed the document since it was
+                        // read, so apply the update to its new contents.
+                        if (
+                            error &&
+                            error.code === 409 &&
+                            attempts < MAX_CONFLICT_RETRIES
+                        ) {
+                            return attempt();
+                        }
+
+                        if (error) return cb(error);
+
+                        return cb(null, value);
+                    });
+                });
+            }
+        },
+    };
+}
+
+/**
+ * Get the values of the stores from the webtask storage document
+ *
+ * @param {*} data Webtask storage document
+ * @returns {object} Values by key
+ */
+function getWebtaskValues(data) {
+    if (data === undefined || data === null) return {};
+
+    if (!isPlainObject(data)) {
+        throw new Error(
+            'The webtask storage holds data that is not an object, so values cannot be added to it'
+        );
+    }
+
+    const values = data[WEBTASK_STORAGE_PROP];
+
+    if (values === undefined) return {};
+
+    if (!isPlainObject(values)) {
+        throw new Error(
+            `The '${WEBTASK_STORAGE_PROP}' property of the webtask storage is not an object`
+        );
+    }
+
+    return values;
+}
+
+function isExpired(value, now) {
+    return (
+        isPlainObject(value) &&
+        typeof value.expiresAt === 'number' &&
+        value.expiresAt <= now
+    );
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
@@ -1,12 +1,190 @@
 'use strict';
 
+const FIRST_PARAMETER_RX = /^(?:async\s*)?(?:function\b[^(]*)?\(?\s*([^\s,)=]+)/;
 const MIDDLEWARE_SPEC_RX = /^(@[^/(]+\/[^/(]+|[^@/(]+)(?:\/([^/(]+)(\(\))?)?$/;
+const USE_WILDCARD_DOMAIN = 3;
+const USE_CUSTOM_DOMAIN = 2;
+const USE_SHARED_DOMAIN = 1;
 
 module.exports = {
+    USE_CUSTOM_DOMAIN,
+    USE_SHARED_DOMAIN,
+    USE_WILDCARD_DOMAIN,
+    getFirstParameterName,
+    getWebtaskPath,
+    invokeSpecFactory,
+    isAsyncFunction,
+    isThenable,
+    loadSpecExport,
+    normalizeMiddlewareSpec,
     parseMiddlewareSpecString,
     resolveCompiler,
 };
 
+/**
+ * Normalize a middleware spec from `wt-middleware` metadata
+ *
+ * A spec is either a string like `module_name/export_name()` or an object
+ * of the form `{ use, options, secrets }`. Object specs having `options` or
+ * `secrets` are always treated as references to factory functions.
+ *
+ * @param {string|object} spec Middleware spec
+ */
+function normalizeMiddlewareSpec(spec) {
+    if (typeof spec === 'string') {
+        const parsedSpec = parseMiddlewareSpecString(spec);
+
+        parsedSpec.options = undefined;
+        parsedSpec.secrets = undefined;
+        parsedSpec.use = spec;
+
+        return parsedSpec;
+    }
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error(
+            `Middleware spec must be a string or an object: ${JSON.stringify(
+                spec
+            )}`
+        );
+    }
+
+    if (typeof spec.use !== 'string') {
+        throw new Error(
+            `Middleware spec objects must have a string 'use' property: ${JSON.stringify(
+                spec
+            )}`
+        );
+    }
+
+    if (
+        spec.options !== undefined &&
+        (!spec.options ||
+            typeof spec.options !== 'object' ||
+            Array.isArray(spec.options))
+    ) {
+        throw new Error(
+            `The 'options' of the middleware spec '${spec.use}' must be an object`
+        );
+    }
+
+    const secrets = normalizeSecretReferences(spec.use, spec.secrets);
+    // Allow factory references to omit the trailing `()` when the intent
+    // to invoke the factory is signalled by options or secrets.
+    const isFactoryFunction =
+        /\(\)$/.test(spec.use) || !!spec.options || !!secrets;
+    const parsedSpec = parseMiddlewareSpecString(
+        spec.use.replace(/\(\)$/, '')
+    );
+
+    parsedSpec.isFactoryFunction = isFactoryFunction;
+    parsedSpec.options = spec.options;
+    parsedSpec.secrets = secrets;
+    parsedSpec.use = spec.use;
+
+    return parsedSpec;
+}
+
+/**
+ * Normalize the `secrets` of a middleware spec to a map of option name to
+ * secret name
+ *
+ * @param {string} use Middleware reference, for error messages
+ * @param {string[]|object} [secrets] Array of secret names or map of option name to secret name
+ */
+function normalizeSecretReferences(use, secrets) {
+    if (secrets === undefined) return undefined;
+
+    const invalid = () =>
+        new Error(
+            `The 'secrets' of the middleware spec '${use}' must be an array of secret names or an object mapping option names to secret names`
+        );
+
+    if (Array.isArray(secrets)) {
+        return secrets.reduce((references, secretName) => {
+            if (typeof secretName !== 'string') throw invalid();
+
+            references[secretName] = secretName;
+
+            return references;
+        }, {});
+    }
+
+    if (!secrets || typeof secrets !== 'object') throw invalid();
+
+    return Object.keys(secrets).reduce((references, optionName) => {
+        if (typeof secrets[optionName] !== 'string') throw invalid();
+
+        references[optionName] = secrets[optionName];
+
+        return references;
+    }, {});
+}
+
+/**
+ * Get the path of a request relative to the webtask's own url, without the
+ * query string
+ *
+ * @param {http.IncomingMessage} req Request having the `x_wt` webtask properties
+ */
+function getWebtaskPath(req) {
+    const path = (req.url || '/').split('?')[0];
+    const xwt = req.x_wt;
+
+    if (!xwt) return path;
+
+    const prefix =
+        xwt.url_format === USE_CUSTOM_DOMAIN
+            ? `/${xwt.container}/${xwt.jtn}`
+            : xwt.url_format === USE_SHARED_DOMAIN
+              ? `/api/run/${xwt.container}/${xwt.jtn}`
+              : xwt.url_format === USE_WILDCARD_DOMAIN ? `/${xwt.jtn}` : '';
+
+    if (prefix && (path === prefix || path.indexOf(`${prefix}/`) === 0)) {
+        return path.slice(prefix.length) || '/';
+    }
+
+    return path;
+}
+
+/**
+ * Get the name of the first parameter declared by a function
+ *
+ * Destructured parameters are reported by their opening bracket.
+ *
+ * @param {function} fn Function to inspect
+ * @returns {string|undefined} Name of the parameter
+ */
+function getFirstParameterName(fn) {
+    const matches = Function.prototype.toString
+        .call(fn)
+        .match(FIRST_PARAMETER_RX);
+
+    return matches ? matches[1] : undefined;
+}
+
+/**
+ * Determine whether a function was declared with the `async` keyword
+ *
+ * @param {function} fn Function to test
+ */
+function isAsyncFunction(fn) {
+    return !!fn.constructor && fn.constructor.name === 'AsyncFunction';
+}
+
+/**
+ * Determine whether a value is a promise or promise-like object
+ *
+ * @param {*} value Value to test
+ */
+function isThenable(value) {
+    return (
+        !!value &&
+        (typeof value === 'object' || typeof value === 'function') &&
+        typeof value.then === 'function'
+    );
+}
+
 function parseMiddlewareSpecString(spec) {
     const matches = spec.match(MIDDLEWARE_SPEC_RX);
 
@@ -21,15 +199,78 @@ function parseMiddlewareSpecString(spec) {
     return { moduleName, exportName, isFactoryFunction };
 }
 
-function resolveCompiler(spec) {
+/**
+ * Resolve a middleware or compiler spec to a function
+ *
+ * @param {function|string|object} spec Function, spec string or spec object
+ * @param {object} [secrets] Webtask secrets used to fill secret references
+ */
+function resolveCompiler(spec, secrets) {
     // Already a function, no resolution to do.
     if (typeof spec === 'function') return spec;
 
-    const parsedSpec = parseMiddlewareSpecString(spec);
+    const parsedSpec = normalizeMiddlewareSpec(spec);
+    const moduleExport = loadSpecExport(parsedSpec);
+
+    return parsedSpec.isFactoryFunction
+        ? invokeSpecFactory(parsedSpec, moduleExport, secrets)
+        : moduleExport;
+}
+
+/**
+ * Load the module export referenced by a normalized spec
+ *
+ * @param {object} parsedSpec Spec produced by `normalizeMiddlewareSpec`
+ */
+function loadSpecExport(parsedSpec) {
     const module = require(parsedSpec.moduleName);
     const moduleExport = parsedSpec.exportName
         ? module[parsedSpec.exportName]
         : module;
 
-    return parsedSpec.isFactoryFunction ? moduleExport() : moduleExport;
+    if (typeof moduleExport !== 'function') {
+        throw new Error(
+            parsedSpec.exportName
+                ? `The module '${parsedSpec.moduleName}' has no function export named '${parsedSpec.exportName}'`
+                : `The module '${parsedSpec.moduleName}' does not export a function`
+        );
+    }
+
+    return moduleExport;
+}
+
+/**
+ * Invoke the factory function referenced by a normalized spec with its
+ * options and referenced secrets
+ *
+ * @param {object} parsedSpec Spec produced by `normalizeMiddlewareSpec`
+ * @param {function} factoryFn Factory function loaded by `loadSpecExport`
+ * @param {object} [secrets] Webtask secrets used to fill secret references
+ */
+function invokeSpecFactory(parsedSpec, factoryFn, secrets) {
+    const options = Object.assign({}, parsedSpec.options);
+
+    if (parsedSpec.secrets) {
+        Object.keys(parsedSpec.secrets).forEach(optionName => {
+            const secretName = parsedSpec.secrets[optionName];
+
+            if (!secrets || secrets[secretName] === undefined) {
+                throw new Error(
+                    `The middleware '${parsedSpec.use}' references the missing secret '${secretName}'`
+                );
+            }
+
+            options[optionName] = secrets[secretName];
+        });
+    }
+
+    const result = factoryFn(options);
+
+    if (typeof result !== 'function') {
+        throw new Error(
+            `The factory function '${parsedSpec.use}' did not produce a function`
+        );
+    }
+
+    return result;
 }
@@ -0,0 +1,112 @@
+'use strict';
+
+const JsonLogger = require('./json_logger');
+const RequestContext = require('../lib/request_context');
+const Util = require('../lib/util');
+
+module.exports = {
+    middleware,
+};
+
+/**
+ * Log one record per request once its response is sent or aborted
+ *
+ * The record describes the method, path, status code, body size and latency
+ * of the request, along with the middleware that responded instead of
+ * continuing the pipeline and the error that the pipeline responded with, if
+ * any. It is written in the format of the `jsonLogger` middleware and, when
+ * that middleware is active, using its transports.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {function} next Callback
+ */
+function middleware(req, res, next) {
+    // The context identifies the request, as the response may be sent from
+    // another asynchronous context
+    const context = RequestContext.getRequestContext() || {
+        requestId: req.x_wt && req.x_wt.req_id,
+        webtaskId: req.x_wt && req.x_wt.jtn,
+    };
+    const pipeline = req.webtaskPipeline;
+    const startedAt = process.hrtime();
+    const end = res.end;
+    const write = res.write;
+    let bytes = 0;
+    let logged = false;
+
+    const count = (chunk, encoding) => {
+        if (!chunk || typeof chunk === 'function') return;
+
+        bytes += Buffer.isBuffer(chunk)
+            ? chunk.length
+            : Buffer.byteLength(
+                  chunk,
+                  typeof encoding === 'string' ? encoding : 'utf8'
+              );
+    };
+    const log = finished => {
+        if (logged) return;
+
+        logged = true;
+
+        const elapsed = process.hrtime(startedAt);
+        const latencyMs =
+            Math.round((elapsed[0] * 1e3 + elapsed[1] / 1e6) * 1000) / 1000;
+        const path = Util.getWebtaskPath(req);
+        const status = res.statusCode;
+        const fields = {
+            bytes,
+            latencyMs,
+            method: req.method,
+            path,
+            status,
+        };
+        const current = pipeline && pipeline.current;
+
+        // A middleware that responded without calling `next`
+        if (current && current.index !== undefined && !current.next.called) {
+            fields.shortCircuit = { index: current.index, name: current.name };
+        }
+
+        if (pipeline && pipeline.error) {
+            fields.error = {
+                message: pipeline.error.message,
+                statusCode: pipeline.error.statusCode,
+            };
+        }
+
+        let level = 'info';
+
+        if (!finished) {
+            fields.aborted = true;
+            level = 'error';
+        } else if (status >= 500) {
+            level = 'error';
+        } else if (status >= 400) {
+            level = 'warn';
+        }
+
+        JsonLogger.writeRecord(
+            level,
+            [`${req.method} ${path} ${status} ${latencyMs}ms`, fields],
+            context
+        );
+    };
+
+    res.write = function(chunk, encoding) {
+        count(chunk, encoding);
+
+        return write.apply(this, arguments);
+    };
+    res.end = function(chunk, encoding) {
+        count(chunk, encoding);
+
+        return end.apply(this, arguments);
+    };
+
+    res.once('finish', () => log(true));
+    res.once('close', () => log(false));
+
+    return next();
+}
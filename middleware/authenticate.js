@@ -1,28 +1,398 @@
 'use strict';
 
+const Crypto = require('crypto');
+
+const AUTH_KEYS_NAME = 'wt-auth-keys';
 const AUTH_SECRET_NAME = 'wt-auth-secret';
+const AUTH_SECRET_NEXT_NAME = 'wt-auth-secret-next';
+const AUTH_SECRETS_NAME = 'wt-auth-secrets';
+const AUTH_USERS_NAME = 'wt-auth-users';
+const DEFAULT_API_KEY_HEADER = 'x-api-key';
+const DEFAULT_REALM = 'webtask';
+const META_PROP_API_KEY_HEADER = 'wt-auth-api-key-header';
+const META_PROP_API_KEY_QUERY = 'wt-auth-api-key-query';
+const META_PROP_MODE = 'wt-auth-mode';
+const META_PROP_REALM = 'wt-auth-realm';
+const MODE_API_KEY = 'api-key';
+const MODE_BASIC = 'basic';
+const MODE_BEARER = 'bearer';
+const MODES = [MODE_API_KEY, MODE_BASIC, MODE_BEARER];
+const SCRYPT_KEY_LENGTH = 32;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+// Verified when a Basic user is unknown so that unknown and known users take
+// the same time to be rejected.
+const UNKNOWN_USER_HASH = `scrypt$16384$8$1$${Buffer.alloc(16).toString(
+    'base64'
+)}$${Buffer.alloc(SCRYPT_KEY_LENGTH).toString('base64')}`;
 
 module.exports = {
+    hashPassword,
     middleware,
 };
 
 function middleware(req, res, next) {
     const ctx = req.webtaskContext;
+    const meta = ctx.meta || {};
+    let modes;
+    let keys;
+    let users;
+
+    try {
+        modes = getModes(meta);
+        keys = getKeys(ctx.secrets);
+        users = getUsers(ctx.secrets);
+    } catch (error) {
+        return next(error);
+    }
+
+    const useBasic = modes.indexOf(MODE_BASIC) !== -1 && !!users;
+    const useKeys =
+        !!keys.length &&
+        (modes.indexOf(MODE_BEARER) !== -1 ||
+            modes.indexOf(MODE_API_KEY) !== -1);
+
+    if (!useBasic && !useKeys) return next();
+
+    const reject = () => {
+        const error = new Error('Unauthorized extensibility point');
+
+        if (useBasic) {
+            const realm = meta[META_PROP_REALM] || DEFAULT_REALM;
+
+            error.statusCode = 401;
+            error.headers = {
+                'WWW-Authenticate': `Basic realm="${realm}", charset="UTF-8"`,
+            };
+        } else {
+            error.statusCode = 403;
+        }
+
+        return next(error);
+    };
+    const credentials = getKeyCredentials(req, ctx, modes, meta);
+
+    if (useKeys) {
+        for (let i = 0; i < credentials.length; i++) {
+            const key = findKey(keys, credentials[i].value);
+
+            if (key && isMethodAllowed(key, req.method)) {
+                ctx.auth = {
+                    scheme: credentials[i].scheme,
+                    keyLabel: key.label,
+                };
+
+                return next();
+            }
+        }
+    }
+
+    const basic = useBasic ? parseBasicCredentials(req) : null;
+
+    if (!basic) return reject();
+
+    const hash = Object.prototype.hasOwnProperty.call(users, basic.username)
+        ? users[basic.username]
+        : UNKNOWN_USER_HASH;
+
+    return verifyPassword(basic.password, hash, (error, isValid) => {
+        if (error) return next(error);
+
+        if (!isValid || hash === UNKNOWN_USER_HASH) return reject();
+
+        ctx.auth = { scheme: MODE_BASIC, user: basic.username };
+
+        return next();
+    });
+}
+
+/**
+ * Hash a password so that it can be stored in the `wt-auth-users` secret
+ *
+ * @param {string} password Password
+ * @param {function} cb callback having the form `function(error, hash)`
+ */
+function hashPassword(password, cb) {
+    const salt = Crypto.randomBytes(16);
+    const params = SCRYPT_PARAMS;
+
+    return Crypto.scrypt(
+        password,
+        salt,
+        SCRYPT_KEY_LENGTH,
+        getScryptOptions(params),
+        (error, hash) => {
+            if (error) return cb(error);
+
+            return cb(
+                null,
+                [
+                    'scrypt',
+                    params.N,
+                    params.r,
+                    params.p,
+                    salt.toString('base64'),
+                    hash.toString('base64'),
+                ].join('$')
+            );
+        }
+    );
+}
+
+/**
+ * Get the active authentication keys configured in webtask secrets
+ *
+ * Keys are read from the `wt-auth-secret` and `wt-auth-secret-next` secrets,
+ * each holding a single key, from the `wt-auth-secrets` secret, which is a
+ * JSON array of keys, and from the `wt-auth-keys` secret, which is a JSON
+ * array of objects having `key`, `label` and `methods` properties.
+ *
+ * @param {object} [secrets] Webtask secrets
+ * @returns {Array<{digest: Buffer, label: string, methods: string[]|undefined}>} Active keys
+ */
+function getKeys(secrets) {
+    const keys = [];
+
+    if (!secrets) return keys;
+
+    // Keys are used verbatim, as they may contain any character
+    [AUTH_SECRET_NAME, AUTH_SECRET_NEXT_NAME].forEach(secretName => {
+        if (secrets[secretName]) {
+            keys.push(createKey(secrets[secretName], secretName));
+        }
+    });
+
+    if (secrets[AUTH_SECRETS_NAME]) {
+        let values;
+
+        try {
+            values = JSON.parse(secrets[AUTH_SECRETS_NAME]);
+        } catch (e) {
+            values = null;
+        }
+
+        if (
+            !Array.isArray(values) ||
+            values.some(value => typeof value !== 'string' || !value)
+        ) {
+            throw new Error(
+                `The ${AUTH_SECRETS_NAME} secret must be a JSON array of non-empty strings`
+            );
+        }
+
+        values.forEach((value, idx) =>
+            keys.push(createKey(value, `${AUTH_SECRETS_NAME}[${idx}]`))
+        );
+    }
+
+    if (secrets[AUTH_KEYS_NAME]) {
+        let specs;
+
+        try {
+            specs = JSON.parse(secrets[AUTH_KEYS_NAME]);
+        } catch (e) {
+            specs = null;
+        }
+
+        if (!Array.isArray(specs)) {
+            throw new Error(
+                `The ${AUTH_KEYS_NAME} secret must be a JSON array of keys`
+            );
+        }
+
+        specs.forEach((spec, idx) => {
+            if (!spec || typeof spec.key !== 'string' || !spec.key) {
+                throw new Error(
+                    `The key at index ${idx} of the ${AUTH_KEYS_NAME} secret must have a non-empty key property`
+                );
+            }
 
-    if (ctx.secrets && ctx.secrets[AUTH_SECRET_NAME]) {
-        const match = (ctx.headers['authorization'] || '')
+            keys.push(
+                createKey(
+                    spec.key,
+                    spec.label || `${AUTH_KEYS_NAME}[${idx}]`,
+                    spec.methods
+                )
+            );
+        });
+    }
+
+    return keys;
+}
+
+/**
+ * Get the candidate keys of a request for the bearer and api-key modes
+ *
+ * @returns {Array<{scheme: string, value: string}>} Candidate keys
+ */
+function getKeyCredentials(req, ctx, modes, meta) {
+    const credentials = [];
+
+    if (modes.indexOf(MODE_BEARER) !== -1) {
+        const match = (req.headers['authorization'] || '')
             .trim()
             .match(/^bearer (.+)$/i);
 
-        if (match && match[1] === ctx.secrets[AUTH_SECRET_NAME]) {
-            return next();
+        if (match) credentials.push({ scheme: MODE_BEARER, value: match[1] });
+    }
+
+    if (modes.indexOf(MODE_API_KEY) !== -1) {
+        const headerName = (
+            meta[META_PROP_API_KEY_HEADER] || DEFAULT_API_KEY_HEADER
+        ).toLowerCase();
+        const queryName = meta[META_PROP_API_KEY_QUERY];
+        const values = [req.headers[headerName]];
+
+        if (queryName && ctx.query) values.push(ctx.query[queryName]);
+
+        values
+            .filter(value => typeof value === 'string' && value)
+            .forEach(value =>
+                credentials.push({ scheme: MODE_API_KEY, value })
+            );
+    }
+
+    return credentials;
+}
+
+function getModes(meta) {
+    const modes = (meta[META_PROP_MODE] || MODE_BEARER)
+        .split(',')
+        .map(mode => mode.trim())
+        .filter(Boolean);
+    const unsupported = modes.filter(mode => MODES.indexOf(mode) === -1);
+
+    if (unsupported.length) {
+        throw new Error(
+            `Unsupported ${META_PROP_MODE} metadata '${unsupported.join(
+                ', '
+            )}', expecting any of: ${MODES.join(', ')}`
+        );
+    }
+
+    return modes;
+}
+
+function getScryptOptions(params) {
+    return {
+        N: params.N,
+        r: params.r,
+        p: params.p,
+        maxmem: 256 * params.N * params.r,
+    };
+}
+
+/**
+ * Get the users configured in the `wt-auth-users` secret, a JSON object
+ * mapping user names to password hashes produced by `hashPassword`
+ *
+ * @param {object} [secrets] Webtask secrets
+ * @returns {object|null} Password hashes by user name
+ */
+function getUsers(secrets) {
+    if (!secrets || !secrets[AUTH_USERS_NAME]) return null;
+
+    let users;
+
+    try {
+        users = JSON.parse(secrets[AUTH_USERS_NAME]);
+    } catch (e) {
+        users = null;
+    }
+
+    if (!users || typeof users !== 'object' || Array.isArray(users)) {
+        throw new Error(
+            `The ${AUTH_USERS_NAME} secret must be a JSON object of password hashes by user name`
+        );
+    }
+
+    return users;
+}
+
+function createKey(value, label, methods) {
+    return {
+        digest: digest(value),
+        label,
+        methods: methods
+            ? [].concat(methods).map(method => method.toUpperCase())
+            : undefined,
+    };
+}
+
+function digest(value) {
+    return Crypto.createHash('sha256')
+        .update(value)
+        .digest();
+}
+
+/**
+ * Find the key matching a credential
+ *
+ * Comparing fixed-length digests in constant time, and comparing every key,
+ * avoids leaking the keys or which of them matched through timing.
+ *
+ * @param {object[]} keys Keys produced by `getKeys`
+ * @param {string} credential Credential presented by the request
+ */
+function findKey(keys, credential) {
+    const credentialDigest = digest(credential);
+    let match = null;
+
+    keys.forEach(key => {
+        if (Crypto.timingSafeEqual(key.digest, credentialDigest) && !match) {
+            match = key;
         }
+    });
 
-        const error = new Error('Unauthorized extensibility point');
-        error.statusCode = 403;
+    return match;
+}
 
-        return next(error);
+function isMethodAllowed(key, method) {
+    return !key.methods || key.methods.indexOf(method) !== -1;
+}
+
+function parseBasicCredentials(req) {
+    const match = (req.headers['authorization'] || '')
+        .trim()
+        .match(/^basic ([a-z0-9+/=]+)$/i);
+
+    if (!match) return null;
+
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const idx = decoded.indexOf(':');
+
+    if (idx === -1) return null;
+
+    return {
+        username: decoded.slice(0, idx),
+        password: decoded.slice(idx + 1),
+    };
+}
+
+function verifyPassword(password, hash, cb) {
+    const parts = typeof hash === 'string' ? hash.split('$') : [];
+
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return cb(
+            new Error(
+                `The ${AUTH_USERS_NAME} secret has a password hash that was not produced by hashPassword`
+            )
+        );
     }
 
-    return next();
+    const params = { N: +parts[1], r: +parts[2], p: +parts[3] };
+    const salt = Buffer.from(parts[4], 'base64');
+    const expected = Buffer.from(parts[5], 'base64');
+
+    return Crypto.scrypt(
+        password,
+        salt,
+        expected.length,
+        getScryptOptions(params),
+        (error, actual) => {
+            if (error) return cb(error);
+
+            return cb(null, Crypto.timingSafeEqual(actual, expected));
+        }
+    );
 }
@@ -0,0 +1,323 @@
+'use strict';
+
+const Jwt = require('../lib/jwt');
+
+const DEFAULT_JWKS_CACHE_TTL = 600;
+const JWKS_MIN_REFRESH_INTERVAL = 30000;
+const JWKS_TIMEOUT = 5000;
+const META_PROP_AUDIENCE = 'wt-jwt-audience';
+const META_PROP_CLOCK_TOLERANCE = 'wt-jwt-clock-tolerance';
+const META_PROP_ISSUER = 'wt-jwt-issuer';
+const META_PROP_JWKS_CACHE_TTL = 'wt-jwt-jwks-cache-ttl';
+const META_PROP_JWKS_URL = 'wt-jwt-jwks-url';
+const META_PROP_SCOPES = 'wt-jwt-scopes';
+const SECRET_JWKS = 'wt-jwt-jwks';
+const SECRET_PUBLIC_KEY = 'wt-jwt-public-key';
+const SECRET_SHARED = 'wt-jwt-secret';
+
+// JSON Web Key Sets fetched by url, shared by the requests of a container
+const jwksCache = new Map();
+
+module.exports = {
+    middleware,
+};
+
+/**
+ * Authenticate requests having a bearer token that is a JSON Web Token signed
+ * using HS256, RS256 or ES256 and expose its claims as `ctx.user`
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {function} next Callback
+ */
+function middleware(req, res, next) {
+    const ctx = req.webtaskContext;
+    const meta = ctx.meta || {};
+    const secrets = ctx.secrets || {};
+
+    if (
+        !secrets[SECRET_SHARED] &&
+        !secrets[SECRET_PUBLIC_KEY] &&
+        !secrets[SECRET_JWKS] &&
+        !meta[META_PROP_JWKS_URL]
+    ) {
+        return next(
+            new Error(
+                `The authenticateJwt middleware requires a ${SECRET_SHARED}, ${SECRET_PUBLIC_KEY} or ${SECRET_JWKS} secret or ${META_PROP_JWKS_URL} metadata`
+            )
+        );
+    }
+
+    const match = (req.headers['authorization'] || '')
+        .trim()
+        .match(/^bearer (.+)$/i);
+
+    if (!match) {
+        return next(createUnauthorizedError('Missing bearer token'));
+    }
+
+    let decoded;
+
+    try {
+        decoded = Jwt.decode(match[1]);
+    } catch (e) {
+        return next(createUnauthorizedError(e.message, 'invalid_token'));
+    }
+
+    return getVerificationKey(decoded.header, secrets, meta, (error, key) => {
+        if (error) return next(error);
+
+        let isValid;
+
+        try {
+            isValid = Jwt.verifySignature(decoded, key);
+        } catch (e) {
+            isValid = false;
+        }
+
+        if (!isValid) {
+            return next(
+                createUnauthorizedError(
+                    'The token signature is invalid',
+                    'invalid_token'
+                )
+            );
+        }
+
+        try {
+            Jwt.validateClaims(decoded.payload, {
+                audiences: splitList(meta[META_PROP_AUDIENCE]),
+                clockTolerance: parseInt(meta[META_PROP_CLOCK_TOLERANCE], 10),
+                issuers: splitList(meta[META_PROP_ISSUER]),
+            });
+        } catch (e) {
+            return next(createUnauthorizedError(e.message, 'invalid_token'));
+        }
+
+        const requiredScopes = splitList(meta[META_PROP_SCOPES]);
+        const grantedScopes = getScopes(decoded.payload);
+        const missingScopes = requiredScopes.filter(
+            scope => grantedScopes.indexOf(scope) === -1
+        );
+
+        if (missingScopes.length) {
+            const error = new Error(
+                `The token is missing the required scopes: ${missingScopes.join(
+                    ', '
+                )}`
+            );
+
+            error.statusCode = 403;
+            error.headers = {
+                'WWW-Authenticate': `Bearer error="insufficient_scope", scope="${requiredScopes.join(
+                    ' '
+                )}"`,
+            };
+
+            return next(error);
+        }
+
+        ctx.user = decoded.payload;
+
+        return next();
+    });
+}
+
+function createUnauthorizedError(message, code) {
+    const error = new Error(message);
+
+    error.statusCode = 401;
+    error.headers = {
+        'WWW-Authenticate': code
+            ? `Bearer error="${code}", error_description="${toDescription(
+                  message
+              )}"`
+            : 'Bearer',
+    };
+
+    return error;
+}
+
+/**
+ * Get a JSON Web Key Set from a url, caching it for subsequent requests
+ *
+ * @param {string} url Url of the key set
+ * @param {object} options Options
+ * @param {number} options.ttl Duration for which the key set is cached in ms
+ * @param {boolean} [options.refresh] Refetch the key set unless it was
+ *  fetched very recently, for example when it has no key matching a token
+ * @param {function} cb callback having the form `function(error, jwks)`
+ */
+function fetchJwks(url, options, cb) {
+    const now = Date.now();
+    let entry = jwksCache.get(url);
+
+    if (entry && entry.jwks) {
+        const age = now - entry.fetchedAt;
+
+        if (
+            options.refresh
+                ? age < JWKS_MIN_REFRESH_INTERVAL
+                : age < options.ttl
+        ) {
+            return cb(null, entry.jwks);
+        }
+    }
+
+    if (!entry) {
+        entry = { fetchedAt: 0, jwks: null, pending: null };
+        jwksCache.set(url, entry);
+    }
+
+    // Concurrent requests share the same fetch
+    if (entry.pending) return entry.pending.push(cb);
+
+    entry.pending = [cb];
+
+    // Defer loading wreck until needed
+    const Wreck = require('wreck');
+
+    return Wreck.get(
+        url,
+        { json: 'force', timeout: JWKS_TIMEOUT },
+        (error, res, jwks) => {
+            const callbacks = entry.pending;
+
+            entry.pending = null;
+
+            if (!error && (res.statusCode !== 200 || !isJwks(jwks))) {
+                error = new Error(
+                    `Unexpected response with status code ${res.statusCode}`
+                );
+            }
+
+            if (error) {
+                // Keep using a stale key set rather than failing every request
+                if (entry.jwks) {
+                    return callbacks.forEach(cb => cb(null, entry.jwks));
+                }
+
+                const wrapped = new Error(
+                    `Error fetching the JSON Web Key Set from ${url}: ${error.message}`
+                );
+
+                return callbacks.forEach(cb => cb(wrapped));
+            }
+
+            entry.fetchedAt = Date.now();
+            entry.jwks = jwks;
+
+            return callbacks.forEach(cb => cb(null, jwks));
+        }
+    );
+}
+
+function getScopes(payload) {
+    const scopes = payload.scope !== undefined ? payload.scope : payload.scp;
+
+    if (Array.isArray(scopes)) return scopes;
+
+    return typeof scopes === 'string' ? scopes.split(' ').filter(Boolean) : [];
+}
+
+/**
+ * Get the key to verify a token with, based on its algorithm and key id
+ *
+ * Shared secrets are only used for HS256 and public keys only for RS256 and
+ * ES256 so that a token cannot pick how the configured keys are interpreted.
+ *
+ * @param {object} header Decoded token header
+ * @param {object} secrets Webtask secrets
+ * @param {object} meta Webtask metadata
+ * @param {function} cb callback having the form `function(error, key)`
+ */
+function getVerificationKey(header, secrets, meta, cb) {
+    // The algorithm comes from the token and is not echoed in the response
+    const rejectAlgorithm = () =>
+        cb(
+            createUnauthorizedError(
+                'The token uses an unaccepted algorithm',
+                'invalid_token'
+            )
+        );
+    const rejectKey = () =>
+        cb(
+            createUnauthorizedError(
+                'No known key can verify the token',
+                'invalid_token'
+            )
+        );
+
+    if (header.alg === 'HS256') {
+        return secrets[SECRET_SHARED]
+            ? cb(null, secrets[SECRET_SHARED])
+            : rejectAlgorithm();
+    }
+
+    if (!Jwt.ALGORITHMS[header.alg]) return rejectAlgorithm();
+
+    if (secrets[SECRET_PUBLIC_KEY]) {
+        return cb(null, secrets[SECRET_PUBLIC_KEY]);
+    }
+
+    if (secrets[SECRET_JWKS]) {
+        let jwks;
+
+        try {
+            jwks = JSON.parse(secrets[SECRET_JWKS]);
+        } catch (e) {
+            return cb(
+                new Error(
+                    `The ${SECRET_JWKS} secret is not a valid JSON Web Key Set`
+                )
+            );
+        }
+
+        const jwk = Jwt.selectJwk(jwks, header);
+
+        return jwk ? cb(null, jwk) : rejectKey();
+    }
+
+    const url = meta[META_PROP_JWKS_URL];
+    const ttl =
+        (parseInt(meta[META_PROP_JWKS_CACHE_TTL], 10) ||
+            DEFAULT_JWKS_CACHE_TTL) * 1000;
+
+    if (!url) return rejectAlgorithm();
+
+    return fetchJwks(url, { ttl }, (error, jwks) => {
+        if (error) return cb(error);
+
+        const jwk = Jwt.selectJwk(jwks, header);
+
+        if (jwk) return cb(null, jwk);
+
+        // The key set may have been rotated since it was cached
+        return fetchJwks(url, { refresh: true, ttl }, (error, jwks) => {
+            if (error) return cb(error);
+
+            const jwk = Jwt.selectJwk(jwks, header);
+
+            return jwk ? cb(null, jwk) : rejectKey();
+        });
+    });
+}
+
+/**
+ * Restrict a message to the characters allowed in the `error_description`
+ * attribute of the `WWW-Authenticate` header, so that it can never break the
+ * header
+ *
+ * @param {string} message Message
+ */
+function toDescription(message) {
+    return message.replace(/[^\x20\x21\x23-\x5b\x5d-\x7e]/g, '?');
+}
+
+function isJwks(value) {
+    return !!value && typeof value === 'object' && Array.isArray(value.keys);
+}
+
+function splitList(value) {
+    return (value || '').split(/[\s,]+/).filter(Boolean);
+}
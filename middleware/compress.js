@@ -0,0 +1,356 @@
+'use strict';
+
+const Crypto = require('crypto');
+const Debuglog = require('../lib/debuglog');
+const Response = require('../lib/response');
+const Zlib = require('zlib');
+
+// Media types whose content is typically compressed already
+const DEFAULT_EXCLUDE =
+    'application/gzip,application/zip,audio/*,font/woff2,image/*,video/*';
+const DEFAULT_THRESHOLD = 1024;
+const META_PROP_EXCLUDE = 'wt-compress-exclude';
+const META_PROP_THRESHOLD = 'wt-compress-threshold';
+
+// Brotli's default quality favors size over speed, which suits static assets
+// better than dynamic responses
+const BROTLI_OPTIONS = {
+    params: { [Zlib.constants.BROTLI_PARAM_QUALITY]: 4 },
+};
+
+// Supported content codings, in order of preference
+const ENCODINGS = {
+    br: {
+        compress: body => Zlib.brotliCompressSync(body, BROTLI_OPTIONS),
+        createStream: () => Zlib.createBrotliCompress(BROTLI_OPTIONS),
+    },
+    gzip: {
+        compress: body => Zlib.gzipSync(body),
+        createStream: () => Zlib.createGzip(),
+    },
+};
+
+module.exports = {
+    middleware,
+};
+
+/**
+ * Compress responses according to the `Accept-Encoding` header of requests
+ * and answer conditional `GET` requests for unchanged responses with `304`
+ *
+ * The response is wrapped so that its headers are only sent once its body
+ * starts. Bodies sent in a single call to `res.end` are buffered, which
+ * allows them to have a strong `ETag` computed from their content. Bodies
+ * written in several chunks are compressed as a stream.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {function} next Callback
+ */
+function middleware(req, res, next) {
+    const meta = req.webtaskContext.meta || {};
+    const debuglog = Debuglog.create('wt-compress', meta);
+    const encoding = negotiateEncoding(req.headers['accept-encoding']);
+    const isExcluded = createTypeMatcher(
+        meta[META_PROP_EXCLUDE] === undefined
+            ? DEFAULT_EXCLUDE
+            : meta[META_PROP_EXCLUDE]
+    );
+    const threshold = parseInt(meta[META_PROP_THRESHOLD], 10);
+    const minBytes = threshold >= 0 ? threshold : DEFAULT_THRESHOLD;
+    const end = res.end;
+    const write = res.write;
+    const writeHead = res.writeHead;
+    let compressor = null;
+    let headersStarted = false;
+    let reason;
+    let started = false;
+
+    // Code checking whether headers were sent wants to know whether they can
+    // still be changed, which is no longer the case once they are deferred.
+    Object.defineProperty(res, 'headersSent', {
+        configurable: true,
+        get() {
+            return headersStarted;
+        },
+    });
+
+    // Defer sending the headers until the body shows whether to compress it
+    res.writeHead = function(statusCode, reasonPhrase, headers) {
+        if (typeof reasonPhrase !== 'string') {
+            headers = reasonPhrase;
+            reasonPhrase = undefined;
+        }
+
+        res.statusCode = statusCode;
+        reason = reasonPhrase;
+        setHeaders(res, headers);
+        headersStarted = true;
+
+        return res;
+    };
+    res.write = function(chunk, chunkEncoding, cb) {
+        headersStarted = true;
+
+        if (!started) startStream();
+
+        if (!compressor) return write.apply(res, arguments);
+
+        return compressor.write(chunk, chunkEncoding, cb);
+    };
+    res.end = function(chunk, chunkEncoding, cb) {
+        if (typeof chunk === 'function') {
+            cb = chunk;
+            chunk = undefined;
+        } else if (typeof chunkEncoding === 'function') {
+            cb = chunkEncoding;
+            chunkEncoding = undefined;
+        }
+
+        if (cb) res.once('finish', cb);
+
+        headersStarted = true;
+
+        if (!started) {
+            started = true;
+
+            endBuffered(toBuffer(chunk, chunkEncoding));
+        } else if (compressor) {
+            compressor.end(chunk, chunkEncoding);
+        } else {
+            end.call(res, chunk, chunkEncoding);
+        }
+
+        return res;
+    };
+
+    return next();
+
+    function endBuffered(body) {
+        const compressible = isCompressible(body.length);
+        const bodyEncoding = compressible ? encoding : null;
+        let etag;
+
+        if (compressible) Response.appendVary(res, 'Accept-Encoding');
+
+        if (req.method === 'GET' && res.statusCode === 200) {
+            if (!res.getHeader('ETag')) {
+                etag = createEtag(body, bodyEncoding);
+                res.setHeader('ETag', etag);
+            }
+
+            if (isFresh(req.headers['if-none-match'], res.getHeader('ETag'))) {
+                res.statusCode = 304;
+                [
+                    'Content-Encoding',
+                    'Content-Length',
+                    'Content-Type',
+                    'Transfer-Encoding',
+                ].forEach(name => res.removeHeader(name));
+
+                writeHead.call(res, 304);
+
+                return end.call(res);
+            }
+        }
+
+        if (!bodyEncoding) {
+            writeHead.call(res, res.statusCode, reason);
+
+            return end.call(res, body);
+        }
+
+        let compressed;
+
+        // Compressing synchronously keeps `res.end` synchronous, so that the
+        // response is sent by the time it returns, as it otherwise would be.
+        try {
+            compressed = ENCODINGS[bodyEncoding].compress(body);
+        } catch (error) {
+            debuglog('Failed to compress the response: %s', error.message);
+
+            // The computed ETag describes the compressed representation
+            if (etag) res.removeHeader('ETag');
+        }
+
+        if (compressed) {
+            res.setHeader('Content-Encoding', bodyEncoding);
+            res.setHeader('Content-Length', compressed.length);
+        }
+
+        writeHead.call(res, res.statusCode, reason);
+
+        return end.call(res, compressed || body);
+    }
+
+    function isCompressible(length) {
+        const cacheControl = String(res.getHeader('Cache-Control') || '');
+
+        return (
+            length >= minBytes &&
+            req.method !== 'HEAD' &&
+            !Response.isEmptyStatus(res.statusCode) &&
+            !res.getHeader('Content-Encoding') &&
+            !/(^|,)\s*no-transform\s*(,|$)/i.test(cacheControl) &&
+            !isExcluded(res.getHeader('Content-Type'))
+        );
+    }
+
+    function startStream() {
+        const contentLength = parseInt(res.getHeader('Content-Length'), 10);
+
+        started = true;
+
+        if (isCompressible(contentLength >= 0 ? contentLength : Infinity)) {
+            Response.appendVary(res, 'Accept-Encoding');
+
+            if (encoding) {
+                compressor = ENCODINGS[encoding].createStream();
+
+                res.setHeader('Content-Encoding', encoding);
+                res.removeHeader('Content-Length');
+
+                compressor.on('data', chunk => {
+                    if (write.call(res, chunk) === false) compressor.pause();
+                });
+                compressor.on('drain', () => res.emit('drain'));
+                compressor.once('end', () => end.call(res));
+                compressor.once('error', error => {
+                    debuglog(
+                        'Failed to compress the response: %s',
+                        error.message
+                    );
+
+                    res.destroy(error);
+                });
+                res.on('drain', () => compressor.resume());
+            }
+        }
+
+        writeHead.call(res, res.statusCode, reason);
+    }
+}
+
+/**
+ * Create a strong ETag from the content of a body and its content coding,
+ * which makes up a different representation
+ *
+ * @param {Buffer} body Uncompressed body
+ * @param {string} [encoding] Content coding of the representation
+ */
+function createEtag(body, encoding) {
+    const hash = Crypto.createHash('sha256')
+        .update(body)
+        .digest('base64')
+        .slice(0, 27);
+
+    return `"${hash}${encoding ? `-${encoding}` : ''}"`;
+}
+
+/**
+ * Create a function determining whether a `Content-Type` is excluded from
+ * compression
+ *
+ * @param {string} list Comma-separated media types, where `type/*` matches
+ *  any subtype
+ */
+function createTypeMatcher(list) {
+    const patterns = list
+        .split(',')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean);
+
+    return contentType => {
+        const mediaType = String(contentType || '')
+            .split(';')[0]
+            .trim()
+            .toLowerCase();
+
+        if (!mediaType) return false;
+
+        return patterns.some(
+            pattern =>
+                pattern === mediaType ||
+                (/\/\*$/.test(pattern) &&
+                    mediaType.indexOf(pattern.slice(0, -1)) === 0)
+        );
+    };
+}
+
+/**
+ * Determine whether the client already has the current representation,
+ * using the weak comparison required for `If-None-Match`
+ *
+ * @param {string} [ifNoneMatch] Value of the `If-None-Match` header
+ * @param {string} [etag] ETag of the response
+ */
+function isFresh(ifNoneMatch, etag) {
+    if (!ifNoneMatch || !etag) return false;
+    if (ifNoneMatch.trim() === '*') return true;
+
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+
+    return ifNoneMatch
+        .split(',')
+        .some(candidate => opaque(candidate) === opaque(String(etag)));
+}
+
+/**
+ * Pick the supported content coding that best satisfies an
+ * `Accept-Encoding` header
+ *
+ * @param {string} [acceptEncoding] Value of the `Accept-Encoding` header
+ * @returns {string|null} Content coding, or null to send the body as is
+ */
+function negotiateEncoding(acceptEncoding) {
+    const qualities = {};
+    let chosen = null;
+    let chosenQuality = 0;
+
+    (acceptEncoding || '').split(',').forEach(part => {
+        const params = part.split(';');
+        const coding = params
+            .shift()
+            .trim()
+            .toLowerCase();
+        const quality = params
+            .map(param => param.trim().match(/^q=([0-9.]+)$/i))
+            .find(Boolean);
+
+        if (coding) qualities[coding] = quality ? parseFloat(quality[1]) : 1;
+    });
+
+    Object.keys(ENCODINGS).forEach(coding => {
+        const quality =
+            qualities[coding] !== undefined
+                ? qualities[coding]
+                : qualities['*'] || 0;
+
+        if (quality > chosenQuality) {
+            chosen = coding;
+            chosenQuality = quality;
+        }
+    });
+
+    return chosen;
+}
+
+function setHeaders(res, headers) {
+    if (Array.isArray(headers)) {
+        // Flat list of names and values
+        for (let i = 0; i < headers.length - 1; i += 2) {
+            res.setHeader(headers[i], headers[i + 1]);
+        }
+    } else if (headers) {
+        Object.keys(headers).forEach(name =>
+            res.setHeader(name, headers[name])
+        );
+    }
+}
+
+function toBuffer(chunk, encoding) {
+    if (!chunk) return Buffer.alloc(0);
+    if (Buffer.isBuffer(chunk)) return chunk;
+
+    return Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+}
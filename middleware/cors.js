@@ -0,0 +1,161 @@
+'use strict';
+
+const Response = require('../lib/response');
+
+const DEFAULT_METHODS = 'GET,HEAD,PUT,PATCH,POST,DELETE';
+const META_PROP_CREDENTIALS = 'wt-cors-credentials';
+const META_PROP_EXPOSE_HEADERS = 'wt-cors-expose-headers';
+const META_PROP_HEADERS = 'wt-cors-headers';
+const META_PROP_MAX_AGE = 'wt-cors-max-age';
+const META_PROP_METHODS = 'wt-cors-methods';
+const META_PROP_ORIGINS = 'wt-cors-origins';
+
+module.exports = {
+    middleware,
+};
+
+/**
+ * Handle cross-origin requests from the origins allowed by the
+ * `wt-cors-origins` metadata
+ *
+ * Preflight requests are answered directly. Other requests get their CORS
+ * headers set on the response before continuing, so that they are also sent
+ * with error responses.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {function} next Callback
+ */
+function middleware(req, res, next) {
+    const ctx = req.webtaskContext;
+    const meta = ctx.meta || {};
+    const origin = req.headers['origin'];
+    const isPreflight =
+        req.method === 'OPTIONS' &&
+        !!origin &&
+        !!req.headers['access-control-request-method'];
+    let isAllowed;
+
+    try {
+        isAllowed = createOriginMatcher(meta[META_PROP_ORIGINS]);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (!origin) return next();
+
+    Response.appendVary(res, 'Origin');
+
+    if (!isAllowed(origin)) {
+        // Without CORS headers, browsers will block the request
+        if (!isPreflight) return next();
+
+        res.writeHead(204);
+
+        return res.end();
+    }
+
+    const credentials = meta[META_PROP_CREDENTIALS] === 'true';
+    const allowAnyOrigin =
+        !credentials && splitList(meta[META_PROP_ORIGINS]).indexOf('*') !== -1;
+
+    res.setHeader('Access-Control-Allow-Origin', allowAnyOrigin ? '*' : origin);
+
+    if (credentials) {
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+
+    if (isPreflight) {
+        const requestHeaders = req.headers['access-control-request-headers'];
+        const allowedHeaders = meta[META_PROP_HEADERS] || requestHeaders;
+
+        res.setHeader(
+            'Access-Control-Allow-Methods',
+            splitList(meta[META_PROP_METHODS] || DEFAULT_METHODS).join(',')
+        );
+
+        if (allowedHeaders) {
+            res.setHeader(
+                'Access-Control-Allow-Headers',
+                splitList(allowedHeaders).join(',')
+            );
+        }
+
+        // Reflected request headers make the response depend on them
+        if (!meta[META_PROP_HEADERS]) {
+            Response.appendVary(res, 'Access-Control-Request-Headers');
+        }
+
+        if (meta[META_PROP_MAX_AGE]) {
+            res.setHeader('Access-Control-Max-Age', meta[META_PROP_MAX_AGE]);
+        }
+
+        res.writeHead(204);
+
+        return res.end();
+    }
+
+    if (meta[META_PROP_EXPOSE_HEADERS]) {
+        res.setHeader(
+            'Access-Control-Expose-Headers',
+            splitList(meta[META_PROP_EXPOSE_HEADERS]).join(',')
+        );
+    }
+
+    return next();
+}
+
+/**
+ * Create a function determining whether an origin is allowed
+ *
+ * @param {string} [origins] Comma-separated list or JSON array of allowed
+ *  origins, where `*` allows any origin, `*` within an origin matches any
+ *  host name label or port, and `/pattern/flags` is a regular expression
+ */
+function createOriginMatcher(origins) {
+    const patterns = splitList(origins).map(createOriginPattern);
+
+    return origin => patterns.some(pattern => pattern.test(origin));
+}
+
+function createOriginPattern(origin) {
+    const regex = origin.match(/^\/(.+)\/([a-z]*)$/);
+
+    if (regex) {
+        try {
+            return new RegExp(regex[1], regex[2]);
+        } catch (e) {
+            throw new Error(
+                `Invalid ${META_PROP_ORIGINS} pattern '${origin}': ${e.message}`
+            );
+        }
+    }
+
+    if (origin === '*') return { test: () => true };
+
+    const source = origin
+        .split('*')
+        .map(part => part.replace(/[|\\{}()[\]^$+?.]/g, '\\$&'))
+        .join('[a-z0-9-]+');
+
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function splitList(value) {
+    if (Array.isArray(value)) return value;
+
+    const trimmed = (value || '').trim();
+
+    if (trimmed.charAt(0) === '[') {
+        try {
+            return JSON.parse(trimmed);
+        } catch (e) {
+            throw new Error(`Invalid JSON array '${trimmed}'`);
+        }
+    }
+
+    return trimmed
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
@@ -0,0 +1,170 @@
+'use strict';
+
+const Crypto = require('crypto');
+const Debuglog = require('../lib/debuglog');
+const Storage = require('../lib/storage');
+
+const CONFLICT_REJECT = 'reject';
+const CONFLICT_SKIP = 'skip';
+const DEFAULT_LEASE = 300;
+const META_PROP_CONFLICT = 'wt-cron-lock-conflict';
+const META_PROP_LEASE = 'wt-cron-lock-lease';
+const STORAGE_KEY = 'cronLock';
+
+module.exports = {
+    middleware,
+};
+
+/**
+ * Prevent overlapping runs of a cron job by holding a lease-based lock for the
+ * duration of each run and record the outcome of the last run
+ *
+ * The run is exposed as `ctx.cron`, having `runId`, `startedAt` and `lastRun`
+ * properties, where `lastRun` describes the previous run, if any.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {function} next Callback
+ */
+function middleware(req, res, next) {
+    const ctx = req.webtaskContext;
+    const meta = ctx.meta || {};
+    const debuglog = Debuglog.create('wt-cron-lock', meta);
+    const onConflict = meta[META_PROP_CONFLICT] || CONFLICT_REJECT;
+    const lease = (parseInt(meta[META_PROP_LEASE], 10) || DEFAULT_LEASE) * 1000;
+    const runId =
+        (req.x_wt && req.x_wt.req_id) || Crypto.randomBytes(8).toString('hex');
+    const startedAt = Date.now();
+    let store;
+
+    if ([CONFLICT_REJECT, CONFLICT_SKIP].indexOf(onConflict) === -1) {
+        return next(
+            new Error(
+                `Unsupported ${META_PROP_CONFLICT} metadata '${onConflict}', expecting one of: ${CONFLICT_REJECT}, ${CONFLICT_SKIP}`
+            )
+        );
+    }
+
+    try {
+        store = Storage.create(ctx, { namespace: Storage.getNamespace(req) });
+    } catch (error) {
+        return next(error);
+    }
+
+    let lastRun;
+    let lockedUntil;
+
+    return store.update(
+        STORAGE_KEY,
+        state => {
+            state = state || {};
+            lastRun = state.lastRun;
+
+            if (state.lock && state.lock.expiresAt > startedAt) {
+                lockedUntil = state.lock.expiresAt;
+
+                return state;
+            }
+
+            lockedUntil = undefined;
+
+            return {
+                lastRun: state.lastRun,
+                lock: {
+                    expiresAt: startedAt + lease,
+                    runId,
+                    startedAt,
+                },
+            };
+        },
+        error => {
+            if (error) return next(error);
+
+            if (lockedUntil !== undefined) {
+                const message = `A previous run holds the cron lock until ${new Date(
+                    lockedUntil
+                ).toISOString()}`;
+
+                debuglog(message);
+
+                if (onConflict === CONFLICT_SKIP) {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+
+                    return res.end(
+                        JSON.stringify({ skipped: true, reason: message })
+                    );
+                }
+
+                const conflict = new Error(message);
+                conflict.statusCode = 409;
+
+                return next(conflict);
+            }
+
+            ctx.cron = { lastRun, runId, startedAt };
+
+            onResponseDone(res, finished => release(finished));
+
+            return next();
+        }
+    );
+
+    function release(finished) {
+        const endedAt = Date.now();
+
+        return store.update(
+            STORAGE_KEY,
+            state => {
+                state = state || {};
+
+                return {
+                    lastRun: {
+                        durationMs: endedAt - startedAt,
+                        endedAt,
+                        outcome:
+                            finished && res.statusCode < 400
+                                ? 'success'
+                                : 'failure',
+                        runId,
+                        startedAt,
+                        statusCode: res.statusCode,
+                    },
+                    // A run that outlived its lease no longer owns the lock
+                    lock:
+                        state.lock && state.lock.runId === runId
+                            ? null
+                            : state.lock,
+                };
+            },
+            error => {
+                if (error) {
+                    debuglog(
+                        'Failed to release the cron lock of run %s: %s',
+                        runId,
+                        error.message
+                    );
+                }
+            }
+        );
+    }
+}
+
+/**
+ * Invoke a callback once a response is either fully sent or aborted
+ *
+ * @param {http.ServerResponse} res Response
+ * @param {function} cb callback having the form `function(finished)`
+ */
+function onResponseDone(res, cb) {
+    let done = false;
+    const onDone = finished => {
+        if (done) return;
+
+        done = true;
+
+        return cb(finished);
+    };
+
+    res.once('finish', () => onDone(true));
+    res.once('close', () => onDone(false));
+}
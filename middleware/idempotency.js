@@ -0,0 +1,307 @@
+'use strict';
+
+const BodyParser = require('../lib/body_parser');
+const Crypto = require('crypto');
+const Debuglog = require('../lib/debuglog');
+const Storage = require('../lib/storage');
+
+const DEFAULT_LEASE = 300;
+const DEFAULT_MAX_RESPONSE_SIZE = 4 * 1024;
+const DEFAULT_METHODS = ['PATCH', 'POST'];
+const DEFAULT_TTL = 24 * 60 * 60;
+const HEADER_IDEMPOTENCY_KEY = 'idempotency-key';
+const HEADER_REPLAYED = 'Idempotent-Replayed';
+const MAX_KEY_LENGTH = 255;
+const META_PROP_LEASE = 'wt-idempotency-lease';
+const META_PROP_MAX_RESPONSE_SIZE = 'wt-idempotency-max-response-size';
+const META_PROP_METHODS = 'wt-idempotency-methods';
+const META_PROP_TTL = 'wt-idempotency-ttl';
+const STATE_COMPLETED = 'completed';
+const STATE_IN_PROGRESS = 'in-progress';
+
+// Headers describing the connection or the framing of the original response
+// rather than its contents
+const UNREPLAYABLE_HEADERS = [
+    'connection',
+    'content-length',
+    'date',
+    'keep-alive',
+    'transfer-encoding',
+];
+
+module.exports = {
+    middleware,
+};
+
+/**
+ * Make retries of mutating requests having an `Idempotency-Key` header safe
+ * by replaying the response of the first request having the same key
+ *
+ * A request whose key is still being handled is rejected with a `409` error
+ * and a request reusing a key with a different method, path or body is
+ * rejected with a `422` error.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {function} next Callback
+ */
+function middleware(req, res, next) {
+    const ctx = req.webtaskContext;
+    const meta = ctx.meta || {};
+    const key = req.headers[HEADER_IDEMPOTENCY_KEY];
+    const methods = meta[META_PROP_METHODS]
+        ? meta[META_PROP_METHODS]
+              .split(',')
+              .map(method => method.trim().toUpperCase())
+        : DEFAULT_METHODS;
+
+    if (key === undefined || methods.indexOf(req.method) === -1) {
+        return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+        const error = new Error(
+            `The Idempotency-Key header must have between 1 and ${MAX_KEY_LENGTH} characters`
+        );
+
+        error.statusCode = 400;
+
+        return next(error);
+    }
+
+    const debuglog = Debuglog.create('wt-idempotency', meta);
+    const lease = (parseInt(meta[META_PROP_LEASE], 10) || DEFAULT_LEASE) * 1000;
+    const ttl = (parseInt(meta[META_PROP_TTL], 10) || DEFAULT_TTL) * 1000;
+    const maxResponseSize =
+        parseInt(meta[META_PROP_MAX_RESPONSE_SIZE], 10) ||
+        DEFAULT_MAX_RESPONSE_SIZE;
+    const storageKey = `idempotency:${key}`;
+    const requestId =
+        (req.x_wt && req.x_wt.req_id) || Crypto.randomBytes(8).toString('hex');
+    let fingerprint;
+    let store;
+
+    try {
+        store = Storage.create(ctx, { namespace: Storage.getNamespace(req) });
+    } catch (error) {
+        return next(error);
+    }
+
+    return BodyParser.readRaw(
+        req,
+        { maxBytes: BodyParser.getMaxBytes(meta) },
+        (error, payload) => {
+            if (error) return next(error);
+
+            fingerprint = Crypto.createHash('sha256')
+                .update(`${req.method} ${req.url}\n`)
+                .update(payload)
+                .digest('base64');
+            const now = Date.now();
+            let existing;
+
+            return store.update(
+                storageKey,
+                record => {
+                    existing = undefined;
+
+                    if (record && record.expiresAt > now) {
+                        existing = record;
+
+                        return record;
+                    }
+
+                    return {
+                        expiresAt: now + lease,
+                        fingerprint,
+                        requestId,
+                        state: STATE_IN_PROGRESS,
+                    };
+                },
+                error => {
+                    if (error) return next(error);
+
+                    if (!existing) {
+                        captureResponse(
+                            res,
+                            { maxBytes: maxResponseSize },
+                            (finished, response) => complete(finished, response)
+                        );
+
+                        return next();
+                    }
+
+                    if (existing.fingerprint !== fingerprint) {
+                        const mismatch = new Error(
+                            'The Idempotency-Key header was already used for a different request'
+                        );
+
+                        mismatch.statusCode = 422;
+
+                        return next(mismatch);
+                    }
+
+                    if (existing.state === STATE_IN_PROGRESS) {
+                        const conflict = new Error(
+                            'A request having the same Idempotency-Key header is in progress'
+                        );
+
+                        conflict.statusCode = 409;
+
+                        return next(conflict);
+                    }
+
+                    debuglog(
+                        'Replaying the response of request %s for key %s',
+                        existing.requestId,
+                        key
+                    );
+
+                    return replay(res, existing.response);
+                }
+            );
+        }
+    );
+
+    function complete(finished, response) {
+        return store.update(
+            storageKey,
+            record => {
+                // A request that outlived its lease no longer owns the key
+                if (!record || record.requestId !== requestId) return record;
+
+                // Aborted responses are not replayed so that the request can
+                // be retried. Neither are responses too large to be recorded
+                // nor server errors, which may be transient.
+                if (!finished || !response || response.statusCode >= 500) {
+                    return undefined;
+                }
+
+                return {
+                    expiresAt: Date.now() + ttl,
+                    fingerprint,
+                    requestId,
+                    response,
+                    state: STATE_COMPLETED,
+                };
+            },
+            error => {
+                if (error) {
+                    debuglog(
+                        'Failed to record the response for key %s: %s',
+                        key,
+                        error.message
+                    );
+                }
+            }
+        );
+    }
+}
+
+/**
+ * Capture the status, headers and body of a response as it is sent
+ *
+ * @param {http.ServerResponse} res Response
+ * @param {{maxBytes: number}} options Options, where `maxBytes` is the size
+ *  of the largest body that is captured
+ * @param {function} cb callback having the form `function(finished, response)`
+ *  invoked once the response is either fully sent or aborted, where
+ *  `response` is undefined when the body is larger than `maxBytes`
+ */
+function captureResponse(res, options, cb) {
+    const chunks = [];
+    const end = res.end;
+    const write = res.write;
+    const writeHead = res.writeHead;
+    let headers;
+    let done = false;
+    let length = 0;
+
+    const capture = (chunk, encoding) => {
+        if (!chunk || typeof chunk === 'function') return;
+
+        const buffer = Buffer.isBuffer(chunk)
+            ? chunk
+            : Buffer.from(
+                  chunk,
+                  typeof encoding === 'string' ? encoding : 'utf8'
+              );
+
+        length += buffer.length;
+
+        // Bodies that are too large are no longer kept in memory
+        if (length > options.maxBytes) {
+            chunks.length = 0;
+
+            return;
+        }
+
+        chunks.push(buffer);
+    };
+    const onDone = finished => {
+        if (done) return;
+
+        done = true;
+
+        if (length > options.maxBytes) return cb(finished);
+
+        return cb(finished, {
+            body: Buffer.concat(chunks).toString('base64'),
+            headers: headers || normalizeHeaders(res.getHeaders()),
+            statusCode: res.statusCode,
+        });
+    };
+
+    // Responses sent without an explicit `writeHead` invoke it implicitly
+    res.writeHead = function(statusCode, reason, obj) {
+        const extraHeaders = typeof reason === 'string' ? obj : reason;
+
+        headers = Object.assign(
+            normalizeHeaders(res.getHeaders()),
+            normalizeHeaders(extraHeaders)
+        );
+
+        return writeHead.apply(this, arguments);
+    };
+    res.write = function(chunk, encoding) {
+        capture(chunk, encoding);
+
+        return write.apply(this, arguments);
+    };
+    res.end = function(chunk, encoding) {
+        capture(chunk, encoding);
+
+        return end.apply(this, arguments);
+    };
+
+    res.once('finish', () => onDone(true));
+    res.once('close', () => onDone(false));
+}
+
+function normalizeHeaders(headers) {
+    const normalized = {};
+
+    if (Array.isArray(headers)) {
+        // Flat list of names and values
+        for (let i = 0; i < headers.length - 1; i += 2) {
+            normalized[String(headers[i]).toLowerCase()] = headers[i + 1];
+        }
+    } else if (headers) {
+        Object.keys(headers).forEach(name => {
+            normalized[name.toLowerCase()] = headers[name];
+        });
+    }
+
+    UNREPLAYABLE_HEADERS.forEach(name => delete normalized[name]);
+
+    return normalized;
+}
+
+function replay(res, response) {
+    res.writeHead(
+        response.statusCode,
+        Object.assign({}, response.headers, { [HEADER_REPLAYED]: 'true' })
+    );
+
+    return res.end(Buffer.from(response.body, 'base64'));
+}
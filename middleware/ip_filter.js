@@ -0,0 +1,93 @@
+'use strict';
+
+const ClientAddress = require('../lib/client_address');
+const Net = require('net');
+
+const ALLOW_NAME = 'wt-ip-allow';
+const DENY_NAME = 'wt-ip-deny';
+
+module.exports = {
+    middleware,
+};
+
+/**
+ * Reject requests from clients whose address is in the `wt-ip-deny` ranges
+ * or, when `wt-ip-allow` ranges are configured, not in those ranges
+ *
+ * Ranges are comma-separated IPv4 or IPv6 addresses or CIDR ranges read from
+ * both the metadata and the secrets of the webtask.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {function} next Callback
+ */
+function middleware(req, res, next) {
+    const ctx = req.webtaskContext;
+    let allowed;
+    let denied;
+
+    try {
+        allowed = createBlockList(ctx, ALLOW_NAME);
+        denied = createBlockList(ctx, DENY_NAME);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (!allowed && !denied) return next();
+
+    const address = ClientAddress.getClientAddress(
+        req,
+        ClientAddress.getTrustedHops(ctx.meta)
+    );
+    const type = address && Net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (
+        !address ||
+        (denied && denied.check(address, type)) ||
+        (allowed && !allowed.check(address, type))
+    ) {
+        const error = new Error('Forbidden client address');
+        error.statusCode = 403;
+
+        return next(error);
+    }
+
+    return next();
+}
+
+function createBlockList(ctx, name) {
+    const ranges = []
+        .concat(
+            (ctx.meta && ctx.meta[name]) || [],
+            (ctx.secrets && ctx.secrets[name]) || []
+        )
+        .join(',')
+        .split(',')
+        .map(range => range.trim())
+        .filter(Boolean);
+
+    if (!ranges.length) return null;
+
+    const blockList = new Net.BlockList();
+
+    ranges.forEach(range => {
+        const parts = range.split('/');
+        const address = ClientAddress.normalizeAddress(parts[0]);
+        const type = address && Net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        const maxPrefix = type === 'ipv6' ? 128 : 32;
+        const prefix = parts.length === 2 ? parts[1] : String(maxPrefix);
+
+        if (
+            !address ||
+            parts.length > 2 ||
+            !/^\d+$/.test(prefix) ||
+            +prefix > maxPrefix
+        ) {
+            throw new Error(`Invalid address range '${range}' in ${name}`);
+        }
+
+        blockList.addSubnet(address, +prefix, type);
+    });
+
+    return blockList;
+}
@@ -1,68 +1,305 @@
 'use strict';
 
 const Console = require('console');
-const Continuation = require('continuation-local-storage');
+const LogTransports = require('../lib/log_transports');
+const RequestContext = require('../lib/request_context');
 const Stream = require('stream');
+const Util = require('util');
+
+// Levels of the console methods that produce log records
+const CONSOLE_LEVELS = {
+    debug: 'debug',
+    error: 'error',
+    info: 'info',
+    log: 'info',
+    warn: 'warn',
+};
+const DEFAULT_LEVEL = 'debug';
+// Maximum time for which the end of a response waits for logs to be sent
+const FLUSH_TIMEOUT = 2000;
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+// Settings of the current request, kept in its context without becoming a
+// field of log records
+const LOGGER_SETTINGS = Symbol.for('webtask-hacks.jsonLogger');
+// Transports of requests that are not handled by this middleware
+const DEFAULT_TRANSPORTS = [LogTransports.createConsoleTransport()];
+const META_PROP_LOG_LEVEL = 'wt-log-level';
+// Shorter secrets, such as flags, would redact unrelated text
+const MIN_REDACTED_LENGTH = 4;
+const REDACTED = '[REDACTED]';
+
+// Descriptor of the global console replaced by the custom logger
+let originalConsole;
 
 module.exports = {
+    createRedactor,
+    formatRecord,
     installCustomLogger,
     middleware,
+    uninstallCustomLogger,
+    writeRecord,
 };
 
+/**
+ * Replace the global console with one writing log records
+ *
+ * @returns {Console} Custom console, which is installed at most once
+ */
 function installCustomLogger() {
     // Prevent re-initialization
-    if (/* eslint no-console:off */ console.$ns) return console.$ns;
-
-    const ns = Continuation.createNamespace('logger');
-    const stderr = new Stream.Transform({
-        transform(chunk, encoding, cb) {
-            cb(
-                null,
-                JSON.stringify({
-                    chunk: chunk.slice(0, chunk.length - 1).toString('utf-8'),
-                    requestId: ns.get('requestId'),
-                    webtaskId: ns.get('webtaskId'),
-                }) + '\n'
-            );
-        },
-    });
-    const stdout = new Stream.Transform({
-        transform(chunk, encoding, cb) {
-            cb(
-                null,
-                JSON.stringify({
-                    chunk: chunk.slice(0, chunk.length - 1).toString('utf-8'),
-                    requestId: ns.get('requestId'),
-                    webtaskId: ns.get('webtaskId'),
-                }) + '\n'
-            );
-        },
+    if (/* eslint no-console:off */ console.$jsonLogger) return console;
+
+    const write = (level, args) =>
+        writeRecord(level, args, RequestContext.getRequestContext());
+    // Receives the output of console methods writing to their streams
+    // directly, such as `console.dir`
+    const createStream = level =>
+        new Stream.Writable({
+            write(chunk, encoding, cb) {
+                write(level, [
+                    chunk.slice(0, chunk.length - 1).toString('utf-8'),
+                ]);
+
+                cb();
+            },
+        });
+
+    const customConsole = new Console.Console(
+        createStream('info'),
+        createStream('error')
+    );
+
+    Object.keys(CONSOLE_LEVELS).forEach(method => {
+        customConsole[method] = (...args) =>
+            write(CONSOLE_LEVELS[method], args);
     });
 
-    const customConsole = new Console.Console(stdout, stderr);
+    // Mark the custom console instance so that we can prevent this from
+    // being re-initialized
+    customConsole.$jsonLogger = true;
 
-    // Attach the CLS namespace to the custom console instance
-    // so that we can prevent this from being re-initialized
-    customConsole.$ns = ns;
+    originalConsole = Object.getOwnPropertyDescriptor(global, 'console');
 
     Object.defineProperty(global, 'console', {
+        configurable: true,
         enumerable: true,
         get: () => customConsole,
     });
 
-    stderr.pipe(process.stderr);
-    stdout.pipe(process.stdout);
+    return customConsole;
+}
+
+/**
+ * Restore the global console replaced by `installCustomLogger`, for example
+ * once tests using the `jsonLogger` middleware are done
+ */
+function uninstallCustomLogger() {
+    if (!originalConsole) return;
 
-    return ns;
+    Object.defineProperty(global, 'console', originalConsole);
+    originalConsole = undefined;
 }
 
+/**
+ * Emit console output as newline-delimited JSON records tagged with the
+ * fields of the request context, filtered by the `wt-log-level` metadata and
+ * with the values of the webtask's secrets redacted
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {function} next Callback
+ */
 function middleware(req, res, next) {
-    const ns = installCustomLogger();
+    const ctx = req.webtaskContext;
+    const minLevel =
+        (ctx.meta && ctx.meta[META_PROP_LOG_LEVEL]) || DEFAULT_LEVEL;
+
+    if (LEVELS.indexOf(minLevel) === -1) {
+        return next(
+            new Error(
+                `Unsupported ${META_PROP_LOG_LEVEL} metadata '${minLevel}', expecting one of: ${LEVELS.join(
+                    ', '
+                )}`
+            )
+        );
+    }
+
+    const context = RequestContext.getRequestContext();
+    let transports;
+
+    try {
+        transports = LogTransports.create(ctx.meta || {}, ctx.secrets);
+    } catch (error) {
+        return next(error);
+    }
+
+    installCustomLogger();
+
+    // The context is provided by the middleware compiler
+    if (context) {
+        Object.defineProperty(context, LOGGER_SETTINGS, {
+            configurable: true,
+            value: {
+                minLevel,
+                redact: createRedactor(ctx.secrets),
+                transports,
+            },
+        });
+    }
+
+    flushBeforeEnd(res, transports);
+
+    return next();
+}
+
+/**
+ * Delay the end of a response until the records buffered by transports are
+ * sent, since the webtask may be stopped once it has responded
+ *
+ * The body is written right away, so that only the end of the response is
+ * delayed.
+ *
+ * @param {http.ServerResponse} res Response
+ * @param {object[]} transports Transports
+ */
+function flushBeforeEnd(res, transports) {
+    if (!transports.some(transport => typeof transport.flush === 'function')) {
+        return;
+    }
+
+    const end = res.end;
+    const write = res.write;
+
+    res.end = function(chunk, encoding, cb) {
+        if (typeof chunk === 'function') {
+            cb = chunk;
+            chunk = undefined;
+        } else if (typeof encoding === 'function') {
+            cb = encoding;
+            encoding = undefined;
+        }
+
+        if (chunk) {
+            write.call(res, chunk, encoding);
+        } else if (!res.headersSent) {
+            res.flushHeaders();
+        }
+
+        LogTransports.flush(transports, FLUSH_TIMEOUT, () =>
+            end.call(res, cb)
+        );
 
-    return ns.run(() => {
-        ns.set('requestId', req.x_wt.req_id);
-        ns.set('webtaskId', req.x_wt.jtn);
+        return res;
+    };
+}
+
+/**
+ * Create a function replacing the values of secrets in serialized log
+ * records with `[REDACTED]`
+ *
+ * @param {object} [secrets] Webtask secrets
+ * @returns {function|null} Function transforming a serialized record, or
+ *  null if there is nothing to redact
+ */
+function createRedactor(secrets) {
+    const patterns = new Set();
+
+    Object.keys(secrets || {}).forEach(name => {
+        const value = secrets[name];
+
+        if (typeof value !== 'string' || value.length < MIN_REDACTED_LENGTH) {
+            return;
+        }
+
+        // Values are escaped in JSON strings, after having been escaped by
+        // `util.inspect` when formatted as part of an object.
+        [value, Util.inspect(value).slice(1, -1)].forEach(variant =>
+            patterns.add(JSON.stringify(variant).slice(1, -1))
+        );
+    });
 
-        return next();
+    if (!patterns.size) return null;
+
+    // Longer values first so that values containing others are redacted whole
+    const rx = new RegExp(
+        Array.from(patterns)
+            .sort((a, b) => b.length - a.length)
+            .map(pattern => pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|'),
+        'g'
+    );
+
+    return line => line.replace(rx, REDACTED);
+}
+
+/**
+ * Serialize the arguments of a console method call to a JSON log record
+ *
+ * The record has the fields of the request context, such as `requestId` and
+ * `webtaskId`. Plain object arguments are merged into the record as fields
+ * while the other arguments are formatted as with `util.format` into its
+ * `chunk`.
+ *
+ * @param {string} level Level of the record
+ * @param {Array} args Arguments of the console method
+ * @param {object} [context] Request context
+ * @returns {string} Serialized record
+ */
+function formatRecord(level, args, context) {
+    const fields = {};
+    const messageArgs = [];
+
+    args.forEach(arg => {
+        if (isPlainObject(arg)) {
+            Object.assign(fields, arg);
+        } else {
+            messageArgs.push(arg);
+        }
     });
+
+    const record = Object.assign({}, context, {
+        chunk: Util.format.apply(Util, messageArgs),
+        level,
+        time: new Date().toISOString(),
+    });
+
+    try {
+        return JSON.stringify(Object.assign(fields, record));
+    } catch (e) {
+        // Fields that cannot be serialized, such as circular structures, are
+        // formatted instead.
+        return JSON.stringify(
+            Object.assign(record, { chunk: Util.format.apply(Util, args) })
+        );
+    }
+}
+
+/**
+ * Write a log record for a request, using the level, redaction and
+ * transports configured for it by this middleware if it handles the request
+ *
+ * @param {string} level Level of the record
+ * @param {Array} args Arguments of the console method
+ * @param {object} [context] Request context
+ */
+function writeRecord(level, args, context) {
+    const settings = (context && context[LOGGER_SETTINGS]) || {};
+    const minLevel = settings.minLevel || DEFAULT_LEVEL;
+
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(minLevel)) return;
+
+    const record = formatRecord(level, args, context);
+    const line = settings.redact ? settings.redact(record) : record;
+
+    (settings.transports || DEFAULT_TRANSPORTS).forEach(transport =>
+        transport.write(line, level)
+    );
+}
+
+function isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+
+    const proto = Object.getPrototypeOf(value);
+
+    return proto === Object.prototype || proto === null;
 }
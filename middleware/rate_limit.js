@@ -0,0 +1,221 @@
+'use strict';
+
+const ClientAddress = require('../lib/client_address');
+const Storage = require('../lib/storage');
+
+const ALGORITHM_SLIDING_WINDOW = 'sliding-window';
+const ALGORITHM_TOKEN_BUCKET = 'token-bucket';
+const ALGORITHMS = {
+    [ALGORITHM_SLIDING_WINDOW]: consumeSlidingWindow,
+    [ALGORITHM_TOKEN_BUCKET]: consumeTokenBucket,
+};
+const DEFAULT_LIMIT = 60;
+const DEFAULT_WINDOW = 60;
+const META_PROP_ALGORITHM = 'wt-rate-limit-algorithm';
+const META_PROP_KEY = 'wt-rate-limit-key';
+const META_PROP_LIMIT = 'wt-rate-limit';
+const META_PROP_WINDOW = 'wt-rate-limit-window';
+
+module.exports = {
+    middleware,
+};
+
+/**
+ * Limit the rate of requests per client, as identified by the
+ * `wt-rate-limit-key` metadata, to `wt-rate-limit` requests per
+ * `wt-rate-limit-window` seconds
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {function} next Callback
+ */
+function middleware(req, res, next) {
+    const ctx = req.webtaskContext;
+    const meta = ctx.meta || {};
+    const algorithmName = meta[META_PROP_ALGORITHM] || ALGORITHM_TOKEN_BUCKET;
+    const consume = ALGORITHMS[algorithmName];
+    const limit = parseInt(meta[META_PROP_LIMIT], 10) || DEFAULT_LIMIT;
+    const windowSeconds =
+        parseInt(meta[META_PROP_WINDOW], 10) || DEFAULT_WINDOW;
+    let key;
+    let store;
+
+    if (!consume) {
+        return next(
+            new Error(
+                `Unsupported ${META_PROP_ALGORITHM} metadata '${algorithmName}', expecting one of: ${Object.keys(
+                    ALGORITHMS
+                ).join(', ')}`
+            )
+        );
+    }
+
+    try {
+        key = getRateLimitKey(req, meta[META_PROP_KEY]);
+        // Every request updates the state of its client, which would make
+        // concurrent requests conflict over the single webtask storage
+        // document
+        store = Storage.create(ctx, {
+            defaultBackend: 'memory',
+            namespace: Storage.getNamespace(req),
+        });
+    } catch (error) {
+        return next(error);
+    }
+
+    const now = Date.now();
+    let result;
+
+    return store.update(
+        `rateLimit:${key}`,
+        state => {
+            result = consume(state, {
+                limit,
+                now,
+                window: windowSeconds * 1000,
+            });
+
+            return result.state;
+        },
+        error => {
+            if (error) return next(error);
+
+            const headers = {
+                'RateLimit-Limit': String(limit),
+                'RateLimit-Policy': `${limit};w=${windowSeconds}`,
+                'RateLimit-Remaining': String(result.remaining),
+                'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+            };
+
+            Object.keys(headers).forEach(name =>
+                res.setHeader(name, headers[name])
+            );
+
+            if (!result.allowed) {
+                const error = new Error('Too many requests');
+
+                error.statusCode = 429;
+                error.headers = Object.assign(headers, {
+                    'Retry-After': String(
+                        Math.max(1, Math.ceil(result.retryAfterMs / 1000))
+                    ),
+                });
+
+                return next(error);
+            }
+
+            return next();
+        }
+    );
+}
+
+/**
+ * Consume a request from a sliding window, approximated by weighting the
+ * count of the previous fixed window by how much it overlaps the sliding one
+ *
+ * @param {object} [state] Stored state of the window
+ * @param {{limit: number, now: number, window: number}} options Options
+ */
+function consumeSlidingWindow(state, options) {
+    const window = options.window;
+    const now = options.now;
+    const start = Math.floor(now / window) * window;
+    let current = 0;
+    let previous = 0;
+
+    if (state && state.start === start) {
+        current = state.current;
+        previous = state.previous;
+    } else if (state && state.start === start - window) {
+        previous = state.current;
+    }
+
+    const weight = 1 - (now - start) / window;
+    const count = previous * weight + current;
+    const allowed = count + 1 <= options.limit;
+
+    if (allowed) current++;
+
+    return {
+        allowed,
+        remaining: Math.max(
+            0,
+            Math.floor(options.limit - previous * weight - current)
+        ),
+        resetMs: start + window - now,
+        retryAfterMs: start + window - now,
+        // The count weighs on the next window, after which it is forgotten
+        state: { current, expiresAt: start + 2 * window, previous, start },
+    };
+}
+
+/**
+ * Consume a token from a bucket holding up to `limit` tokens that refills
+ * completely over the window
+ *
+ * @param {object} [state] Stored state of the bucket
+ * @param {{limit: number, now: number, window: number}} options Options
+ */
+function consumeTokenBucket(state, options) {
+    const limit = options.limit;
+    const rate = limit / options.window;
+    const elapsed = state ? Math.max(0, options.now - state.updatedAt) : 0;
+    let tokens = state ? Math.min(limit, state.tokens + elapsed * rate) : limit;
+    const allowed = tokens >= 1;
+
+    if (allowed) tokens -= 1;
+
+    return {
+        allowed,
+        remaining: Math.floor(tokens),
+        resetMs: (limit - tokens) / rate,
+        retryAfterMs: allowed ? 0 : (1 - tokens) / rate,
+        // A full bucket is forgotten, as it is the state of new clients
+        state: {
+            expiresAt: options.now + Math.ceil((limit - tokens) / rate),
+            tokens,
+            updatedAt: options.now,
+        },
+    };
+}
+
+/**
+ * Get the value identifying the client of a request
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {string} [keySpec] `ip` (default), `user` or `header:<name>`, where
+ *  `user` is the subject of a JWT, a Basic user or the label of a key. Clients
+ *  lacking a user or the header are identified by their address.
+ */
+function getRateLimitKey(req, keySpec) {
+    const ctx = req.webtaskContext;
+    const spec = keySpec || 'ip';
+    const header = spec.match(/^header:(.+)$/i);
+
+    if (spec === 'user') {
+        const auth = ctx.auth || {};
+        const subject =
+            (ctx.user && ctx.user.sub) || auth.user || auth.keyLabel;
+
+        // Anonymous requests are limited by address instead
+        if (subject) return `user:${subject}`;
+    }
+
+    if (header) {
+        const value = req.headers[header[1].trim().toLowerCase()];
+
+        // Requests without the header are limited by address instead
+        if (value) return `header:${value}`;
+    } else if (spec !== 'ip' && spec !== 'user') {
+        throw new Error(
+            `Unsupported ${META_PROP_KEY} metadata '${spec}', expecting ip, user or header:<name>`
+        );
+    }
+
+    const address = ClientAddress.getClientAddress(
+        req,
+        ClientAddress.getTrustedHops(ctx.meta)
+    );
+
+    return `ip:${address || 'unknown'}`;
+}
@@ -0,0 +1,196 @@
+'use strict';
+
+const BodyParser = require('../lib/body_parser');
+const Joi = require('joi');
+const JsonSchema = require('../lib/json_schema');
+const Util = require('../lib/util');
+
+const LOCATIONS = ['headers', 'params', 'query', 'body'];
+const META_PROP_VALIDATE = 'wt-validate';
+
+// Schemas compiled from `wt-validate` metadata, by metadata value
+const metadataSchemas = new Map();
+
+module.exports = {
+    create,
+    middleware,
+};
+
+/**
+ * Create a middleware validating the parts of requests against schemas
+ *
+ * @param {object} options Options
+ * @param {string|object} options.schemas Object mapping `headers`, `params`,
+ *  `query` and `body` to Joi schemas or JSON Schemas, or the spec of a module
+ *  export providing such an object, like `module_name/export_name`
+ */
+function create(options) {
+    const schemas = compileSchemas((options || {}).schemas);
+
+    return function validate(req, res, next) {
+        return validateRequest(req, schemas, next);
+    };
+}
+
+/**
+ * Validate requests against the schemas in the `wt-validate` metadata
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {function} next Callback
+ */
+function middleware(req, res, next) {
+    const meta = req.webtaskContext.meta || {};
+    const value = meta[META_PROP_VALIDATE];
+    let schemas = metadataSchemas.get(value);
+
+    if (!schemas) {
+        try {
+            schemas = compileSchemas(parseMetadata(value));
+        } catch (error) {
+            return next(error);
+        }
+
+        metadataSchemas.set(value, schemas);
+    }
+
+    return validateRequest(req, schemas, next);
+}
+
+function compileSchemas(spec) {
+    const definitions = typeof spec === 'string' ? loadSchemas(spec) : spec;
+
+    if (!definitions || typeof definitions !== 'object') {
+        throw new Error(
+            'Validation schemas must be an object or the spec of a module export providing one'
+        );
+    }
+
+    const unknown = Object.keys(definitions).filter(
+        location => LOCATIONS.indexOf(location) === -1
+    );
+
+    if (unknown.length) {
+        throw new Error(
+            `Unsupported validation locations: ${unknown.join(
+                ', '
+            )}, expecting any of: ${LOCATIONS.join(', ')}`
+        );
+    }
+
+    return LOCATIONS.reduce((schemas, location) => {
+        const definition = definitions[location];
+
+        if (definition !== undefined) {
+            schemas[location] =
+                definition && definition.isJoi
+                    ? definition
+                    : JsonSchema.toJoi(definition, `${location}#`);
+        }
+
+        return schemas;
+    }, {});
+}
+
+function loadSchemas(spec) {
+    const parsedSpec = Util.parseMiddlewareSpecString(spec);
+    const module = require(parsedSpec.moduleName);
+
+    return parsedSpec.exportName ? module[parsedSpec.exportName] : module;
+}
+
+function parseMetadata(value) {
+    if (!value) {
+        throw new Error(
+            `The validate middleware requires ${META_PROP_VALIDATE} metadata`
+        );
+    }
+
+    // Either JSON schemas or the spec of a module export
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+function validateRequest(req, schemas, next) {
+    const ctx = req.webtaskContext;
+    const values = {
+        headers: req.headers,
+        params: req.params || {},
+        query: ctx.query || {},
+    };
+
+    if (!schemas.body) return validateValues(values);
+
+    return BodyParser.parse(
+        req,
+        { maxBytes: BodyParser.getMaxBytes(ctx.meta) },
+        (error, body) => {
+            if (error) return next(error);
+
+            values.body = body;
+
+            return validateValues(values);
+        }
+    );
+
+    function validateValues(values) {
+        const details = [];
+        const results = {};
+
+        LOCATIONS.forEach(location => {
+            if (!schemas[location]) return;
+
+            // Headers are always accompanied by others that are not described
+            const result = Joi.validate(values[location], schemas[location], {
+                abortEarly: false,
+                allowUnknown: location === 'headers',
+            });
+
+            if (result.error) {
+                const paths = new Set();
+
+                result.error.details.forEach(detail => {
+                    // Report the first failure of each value, as an empty
+                    // string fails both for being empty and for its length
+                    if (paths.has(detail.path)) return;
+
+                    paths.add(detail.path);
+                    details.push({
+                        location,
+                        message: detail.message,
+                        path: detail.path,
+                        type: detail.type,
+                    });
+                });
+            }
+
+            results[location] = result.value;
+        });
+
+        if (details.length) {
+            const error = new Error(
+                `Invalid request: ${details
+                    .map(detail => `${detail.message} in ${detail.location}`)
+                    .join(', ')}`
+            );
+
+            error.statusCode = 400;
+            error.data = { details };
+
+            return next(error);
+        }
+
+        if (schemas.params) req.params = results.params;
+        if (schemas.query) ctx.query = results.query;
+        if (schemas.body) {
+            // Picked up by the default middleware instead of parsing again
+            req.body = results.body;
+            ctx.body = results.body;
+        }
+
+        return next();
+    }
+}
@@ -0,0 +1,175 @@
+'use strict';
+
+const BodyParser = require('../lib/body_parser');
+const Crypto = require('crypto');
+
+const DEFAULT_TOLERANCE = 300;
+const META_PROP_SCHEME = 'wt-webhook-scheme';
+const META_PROP_TOLERANCE = 'wt-webhook-tolerance';
+const SECRET_NAME = 'wt-webhook-secret';
+
+const SCHEMES = {
+    github: verifyGithub,
+    slack: verifySlack,
+    stripe: verifyStripe,
+};
+
+module.exports = {
+    middleware,
+};
+
+/**
+ * Verify that the body of a webhook request is signed by a sender knowing
+ * the `wt-webhook-secret` secret, using the scheme named in the
+ * `wt-webhook-scheme` metadata
+ *
+ * The raw body is kept as `req.rawBody` so that it can still be parsed by the
+ * default middleware.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {function} next Callback
+ */
+function middleware(req, res, next) {
+    const ctx = req.webtaskContext;
+    const meta = ctx.meta || {};
+    const secret = ctx.secrets && ctx.secrets[SECRET_NAME];
+    const schemeName = meta[META_PROP_SCHEME];
+    const verify = SCHEMES[schemeName];
+
+    if (!secret) {
+        return next(
+            new Error(
+                `The verifyWebhook middleware requires a ${SECRET_NAME} secret`
+            )
+        );
+    }
+
+    if (!verify) {
+        return next(
+            new Error(
+                `Unsupported ${META_PROP_SCHEME} metadata '${schemeName}', expecting one of: ${Object.keys(
+                    SCHEMES
+                ).join(', ')}`
+            )
+        );
+    }
+
+    return BodyParser.readRaw(
+        req,
+        { maxBytes: BodyParser.getMaxBytes(meta) },
+        (error, payload) => {
+            if (error) return next(error);
+
+            const tolerance =
+                parseInt(meta[META_PROP_TOLERANCE], 10) || DEFAULT_TOLERANCE;
+            const failure = verify(req, payload, secret, tolerance);
+
+            if (failure) {
+                const error = new Error(failure);
+
+                error.statusCode = 401;
+
+                return next(error);
+            }
+
+            return next();
+        }
+    );
+}
+
+function hmac(secret, parts) {
+    const hash = Crypto.createHmac('sha256', secret);
+
+    parts.forEach(part => hash.update(part));
+
+    return hash.digest();
+}
+
+function isSignatureMatch(expected, hexSignature) {
+    const signature = Buffer.from(hexSignature || '', 'hex');
+
+    return (
+        signature.length === expected.length &&
+        Crypto.timingSafeEqual(signature, expected)
+    );
+}
+
+function isTimestampValid(timestamp, tolerance) {
+    const now = Math.floor(Date.now() / 1000);
+
+    return /^\d+$/.test(timestamp) && Math.abs(now - timestamp) <= tolerance;
+}
+
+/**
+ * Verify a GitHub `X-Hub-Signature-256` header of the form `sha256=<hex>`
+ *
+ * @returns {string|undefined} Reason for rejecting the request, if any
+ */
+function verifyGithub(req, payload, secret) {
+    const match = (req.headers['x-hub-signature-256'] || '').match(
+        /^sha256=([0-9a-f]+)$/i
+    );
+
+    if (!match) return 'Missing webhook signature';
+
+    return isSignatureMatch(hmac(secret, [payload]), match[1])
+        ? undefined
+        : 'Invalid webhook signature';
+}
+
+/**
+ * Verify Slack `X-Slack-Signature` and `X-Slack-Request-Timestamp` headers,
+ * where the signature is of the form `v0=<hex>`
+ *
+ * @returns {string|undefined} Reason for rejecting the request, if any
+ */
+function verifySlack(req, payload, secret, tolerance) {
+    const timestamp = req.headers['x-slack-request-timestamp'];
+    const match = (req.headers['x-slack-signature'] || '').match(
+        /^v0=([0-9a-f]+)$/i
+    );
+
+    if (!match || !timestamp) return 'Missing webhook signature';
+
+    if (!isTimestampValid(timestamp, tolerance)) {
+        return 'Webhook timestamp is outside of the tolerated window';
+    }
+
+    return isSignatureMatch(
+        hmac(secret, [`v0:${timestamp}:`, payload]),
+        match[1]
+    )
+        ? undefined
+        : 'Invalid webhook signature';
+}
+
+/**
+ * Verify a Stripe-style `Stripe-Signature` header of the form
+ * `t=<timestamp>,v1=<hex>[,v1=<hex>]`, where any `v1` signature may match
+ *
+ * @returns {string|undefined} Reason for rejecting the request, if any
+ */
+function verifyStripe(req, payload, secret, tolerance) {
+    const elements = (req.headers['stripe-signature'] || '')
+        .split(',')
+        .map(element => element.trim().split('='));
+    const timestamp = elements
+        .filter(pair => pair[0] === 't')
+        .map(pair => pair[1])[0];
+    const signatures = elements
+        .filter(pair => pair[0] === 'v1')
+        .map(pair => pair[1]);
+
+    if (!timestamp || !signatures.length) return 'Missing webhook signature';
+
+    if (!isTimestampValid(timestamp, tolerance)) {
+        return 'Webhook timestamp is outside of the tolerated window';
+    }
+
+    const expected = hmac(secret, [`${timestamp}.`, payload]);
+
+    return signatures.some(signature => isSignatureMatch(expected, signature))
+        ? undefined
+        : 'Invalid webhook signature';
+}
@@ -0,0 +1,122 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const JsonLogger = require('../middleware/json_logger');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { after, describe, it } = lab;
+
+module.exports = { lab };
+
+// Later tests must not log through the custom console
+after(done => {
+    JsonLogger.uninstallCustomLogger();
+
+    done();
+});
+
+describe('accessLog middleware', { parallel: true }, () => {
+    it('logs the outcome of each request', done => {
+        const lines = [];
+        const meta = middleware => ({
+            'wt-compiler': 'webtask-hacks/middleware',
+            'wt-log-transports': 'test-access-log/transport',
+            'wt-middleware': `webtask-hacks/jsonLogger,webtask-hacks/accessLog,${middleware}`,
+        });
+        const webtasks = {
+            failing: {
+                meta: meta('test-access-log/passthrough,test-access-log/fail'),
+                script: 'module.exports = cb => cb(null, "unreachable");',
+            },
+            ok: {
+                meta: meta('test-access-log/passthrough'),
+                script: 'module.exports = cb => cb(null, { ok: true });',
+            },
+            stopped: {
+                meta: meta('test-access-log/passthrough,test-access-log/stop'),
+                script: 'module.exports = cb => cb(null, "unreachable");',
+            },
+        };
+        const server = Testing.createServer({
+            modules: {
+                'test-access-log': {
+                    fail: (req, res, next) => {
+                        const error = new Error('Slow down');
+
+                        error.statusCode = 429;
+
+                        return next(error);
+                    },
+                    passthrough: (req, res, next) => next(),
+                    stop: (req, res) => {
+                        res.writeHead(403, { 'Content-Type': 'text/plain' });
+                        res.end('Forbidden');
+                    },
+                    transport: () => ({
+                        write: (line, level) => lines.push({ level, line }),
+                    }),
+                },
+                'webtask-hacks': require('..'),
+            },
+            webtasks,
+        });
+
+        return server.listen(error => {
+            Assert.ifError(error);
+
+            return Async.eachSeries(
+                ['ok', 'stopped', 'failing'],
+                (name, next) => Wreck.get(server.url(name), () => next()),
+                () =>
+                    Async.until(
+                        () => lines.length === 3,
+                        next => setTimeout(next, 10),
+                        () => {
+                            const records = lines.map(entry =>
+                                Object.assign(JSON.parse(entry.line), {
+                                    transportLevel: entry.level,
+                                })
+                            );
+
+                            Assert.equal(records[0].method, 'GET');
+                            Assert.equal(records[0].status, 200);
+                            Assert.equal(records[0].level, 'info');
+                            Assert.equal(records[0].bytes, 11);
+                            Assert.equal(typeof records[0].latencyMs, 'number');
+                            Assert.ok(records[0].requestId);
+                            Assert.ok(!records[0].shortCircuit);
+                            Assert.ok(!records[0].error);
+                            Assert.ok(/^GET \S+ 200 /.test(records[0].chunk));
+
+                            Assert.equal(records[1].status, 403);
+                            Assert.equal(records[1].level, 'warn');
+                            Assert.equal(records[1].transportLevel, 'warn');
+                            Assert.equal(records[1].bytes, 9);
+                            Assert.deepEqual(records[1].shortCircuit, {
+                                index: 3,
+                                name: 'test-access-log/stop',
+                            });
+
+                            Assert.equal(records[2].status, 429);
+                            Assert.equal(records[2].level, 'warn');
+                            Assert.ok(!records[2].shortCircuit);
+                            Assert.deepEqual(records[2].error, {
+                                message: 'Slow down',
+                                statusCode: 429,
+                            });
+                            Assert.notEqual(
+                                records[2].requestId,
+                                records[0].requestId
+                            );
+
+                            return server.close(done);
+                        }
+                    )
+            );
+        });
+    });
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Authenticate = require('../middleware/authenticate');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+describe('authenticate middleware', { parallel: true }, () => {
+    it('accepts any active key and exposes its label', done => {
+        const webtask = {
+            meta: {
+                'wt-compiler': 'webtask-hacks/middleware',
+                'wt-middleware': 'webtask-hacks/authenticate',
+            },
+            script: 'module.exports = (ctx, cb) => cb(null, ctx.auth);',
+            secrets: {
+                'wt-auth-keys': JSON.stringify([
+                    { key: 'reader', label: 'ci', methods: ['get'] },
+                ]),
+                'wt-auth-secret': 'current,with comma',
+                'wt-auth-secret-next': 'next',
+                'wt-auth-secrets': JSON.stringify(['previous', 'older']),
+            },
+        };
+        const requests = [
+            ['GET', 'current,with comma'],
+            ['GET', 'older'],
+            ['POST', 'next'],
+            ['GET', 'reader'],
+            ['POST', 'reader'],
+            ['GET', 'unknown'],
+            ['GET', undefined],
+            ['GET', 'current'],
+        ];
+
+        return withServer({ webtask }, (server, finish) =>
+            Async.mapSeries(
+                requests,
+                (req, next) =>
+                    request(
+                        req[0],
+                        server.url('webtask'),
+                        req[1] ? { Authorization: `Bearer ${req[1]}` } : {},
+                        next
+                    ),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(responses.map(res => res.statusCode), [
+                        200,
+                        200,
+                        200,
+                        200,
+                        403,
+                        403,
+                        403,
+                        403,
+                    ]);
+                    Assert.deepEqual(
+                        responses
+                            .slice(0, 4)
+                            .map(res => JSON.parse(res.payload).keyLabel),
+                        [
+                            'wt-auth-secret',
+                            'wt-auth-secrets[1]',
+                            'wt-auth-secret-next',
+                            'ci',
+                        ]
+                    );
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('supports basic and api key authentication modes', done => {
+        return Authenticate.hashPassword('s3cret', (error, hash) => {
+            Assert.ifError(error);
+
+            const webtasks = {
+                apiKey: createWebtask(
+                    {
+                        'wt-auth-api-key-query': 'api_key',
+                        'wt-auth-mode': 'api-key',
+                    },
+                    { 'wt-auth-secret': 'key' }
+                ),
+                basic: createWebtask(
+                    { 'wt-auth-mode': 'basic', 'wt-auth-realm': 'reports' },
+                    { 'wt-auth-users': JSON.stringify({ alice: hash }) }
+                ),
+            };
+            const basic = credentials =>
+                `Basic ${Buffer.from(credentials).toString('base64')}`;
+            const requests = [
+                ['apiKey', '', { 'X-Api-Key': 'key' }],
+                ['apiKey', '?api_key=key', {}],
+                ['apiKey', '', { Authorization: 'Bearer key' }],
+                ['basic', '', { Authorization: basic('alice:s3cret') }],
+                ['basic', '', { Authorization: basic('alice:wrong') }],
+                ['basic', '', { Authorization: basic('mallory:s3cret') }],
+                ['basic', '', {}],
+            ];
+
+            return withServer(webtasks, (server, finish) =>
+                Async.mapSeries(
+                    requests,
+                    (req, next) =>
+                        request(
+                            'GET',
+                            server.url(req[0]) + req[1],
+                            req[2],
+                            next
+                        ),
+                    (error, responses) => {
+                        Assert.ifError(error);
+                        Assert.deepEqual(
+                            responses.map(res => res.statusCode),
+                            [200, 200, 403, 200, 401, 401, 401]
+                        );
+                        Assert.deepEqual(JSON.parse(responses[0].payload), {
+                            scheme: 'api-key',
+                            keyLabel: 'wt-auth-secret',
+                        });
+                        Assert.deepEqual(JSON.parse(responses[3].payload), {
+                            scheme: 'basic',
+                            user: 'alice',
+                        });
+                        Assert.equal(
+                            responses[6].headers['www-authenticate'],
+                            'Basic realm="reports", charset="UTF-8"'
+                        );
+
+                        return finish(done);
+                    }
+                )
+            );
+        });
+    });
+});
+
+function createWebtask(meta, secrets) {
+    return {
+        meta: Object.assign(
+            {
+                'wt-compiler': 'webtask-hacks/middleware',
+                'wt-middleware': 'webtask-hacks/authenticate',
+            },
+            meta
+        ),
+        script: 'module.exports = (ctx, cb) => cb(null, ctx.auth);',
+        secrets,
+    };
+}
+
+function request(method, url, headers, cb) {
+    return Wreck.request(method, url, { headers }, (error, res) => {
+        if (error) return cb(error);
+
+        return Wreck.read(res, {}, (error, payload) => {
+            if (error) return cb(error);
+
+            res.payload = payload.toString();
+
+            return cb(null, res);
+        });
+    });
+}
+
+function withServer(webtasks, cb) {
+    const server = Testing.createServer({
+        modules: { 'webtask-hacks': require('..') },
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
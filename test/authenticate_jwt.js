@@ -0,0 +1,313 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Crypto = require('crypto');
+const Http = require('http');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+const SHARED_SECRET = 'shared-secret';
+const ecKeys = Crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const rsaKeys = Crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+describe('authenticateJwt middleware', { parallel: true }, () => {
+    it('verifies HS256 tokens and their claims', done => {
+        const now = Math.floor(Date.now() / 1000);
+        const webtask = createWebtask(
+            {
+                'wt-jwt-audience': 'api',
+                'wt-jwt-issuer': 'https://issuer.example.com/',
+                'wt-jwt-scopes': 'read:items',
+            },
+            { 'wt-jwt-secret': SHARED_SECRET }
+        );
+        const claims = {
+            aud: ['api', 'other'],
+            exp: now + 60,
+            iss: 'https://issuer.example.com/',
+            scope: 'read:items write:items',
+            sub: 'user',
+        };
+        const tokens = [
+            sign({ alg: 'HS256' }, claims, SHARED_SECRET),
+            undefined,
+            sign({ alg: 'HS256' }, claims, 'wrong-secret'),
+            sign(
+                { alg: 'HS256' },
+                Object.assign({}, claims, { exp: now - 1 }),
+                SHARED_SECRET
+            ),
+            sign(
+                { alg: 'HS256' },
+                Object.assign({}, claims, { aud: 'other' }),
+                SHARED_SECRET
+            ),
+            sign(
+                { alg: 'HS256' },
+                Object.assign({}, claims, { scope: 'write:items' }),
+                SHARED_SECRET
+            ),
+            sign({ alg: 'none' }, claims),
+            `${encode({ alg: 'HS256\r\nX-Injected: 1', typ: 'JWT' })}.${encode(
+                claims
+            )}.c2ln`,
+        ];
+
+        return withServer({ webtask }, (server, finish) =>
+            Async.mapSeries(
+                tokens,
+                (token, next) => request(server.url('webtask'), token, next),
+                (error, responses) => {
+                    Assert.ifError(error);
+
+                    const valid = responses[0];
+                    const missing = responses[1];
+                    const forged = responses[2];
+                    const expired = responses[3];
+                    const wrongAudience = responses[4];
+                    const missingScope = responses[5];
+                    const unsigned = responses[6];
+                    const injected = responses[7];
+
+                    Assert.equal(valid.statusCode, 200);
+                    Assert.deepEqual(JSON.parse(valid.payload), claims);
+
+                    Assert.equal(missing.statusCode, 401);
+                    Assert.equal(missing.headers['www-authenticate'], 'Bearer');
+
+                    [forged, expired, wrongAudience, unsigned].forEach(res => {
+                        Assert.equal(res.statusCode, 401);
+                        Assert.ok(
+                            /^Bearer error="invalid_token"/.test(
+                                res.headers['www-authenticate']
+                            )
+                        );
+                    });
+                    Assert.ok(/has expired/.test(expired.payload));
+
+                    // Token data never reaches the headers
+                    Assert.equal(injected.statusCode, 401);
+                    Assert.equal(
+                        injected.headers['www-authenticate'],
+                        'Bearer error="invalid_token", error_description="The token uses an unaccepted algorithm"'
+                    );
+                    Assert.equal(injected.headers['x-injected'], undefined);
+
+                    Assert.equal(missingScope.statusCode, 403);
+                    Assert.equal(
+                        missingScope.headers['www-authenticate'],
+                        'Bearer error="insufficient_scope", scope="read:items"'
+                    );
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('verifies RS256 tokens using keys from secrets', done => {
+        const publicJwk = Object.assign(
+            rsaKeys.publicKey.export({ format: 'jwk' }),
+            { kid: 'rsa-1' }
+        );
+        const webtasks = {
+            jwks: createWebtask(
+                {},
+                { 'wt-jwt-jwks': JSON.stringify({ keys: [publicJwk] }) }
+            ),
+            pem: createWebtask(
+                {},
+                {
+                    'wt-jwt-public-key': rsaKeys.publicKey.export({
+                        format: 'pem',
+                        type: 'spki',
+                    }),
+                }
+            ),
+        };
+        const token = sign(
+            { alg: 'RS256', kid: 'rsa-1' },
+            { sub: 'user' },
+            rsaKeys.privateKey
+        );
+        const requests = [
+            ['jwks', token],
+            ['pem', token],
+            [
+                'jwks',
+                sign(
+                    { alg: 'RS256', kid: 'rsa-2' },
+                    { sub: 'user' },
+                    rsaKeys.privateKey
+                ),
+            ],
+            // A public key must never be used as an HMAC secret
+            [
+                'pem',
+                sign(
+                    { alg: 'HS256' },
+                    { sub: 'user' },
+                    webtasks.pem.secrets['wt-jwt-public-key']
+                ),
+            ],
+        ];
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                requests,
+                (req, next) => request(server.url(req[0]), req[1], next),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(responses.map(res => res.statusCode), [
+                        200,
+                        200,
+                        401,
+                        401,
+                    ]);
+                    Assert.deepEqual(JSON.parse(responses[0].payload), {
+                        sub: 'user',
+                    });
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('verifies ES256 tokens using a cached JWKS url', done => {
+        let fetches = 0;
+        const jwksServer = Http.createServer((req, res) => {
+            fetches++;
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(
+                JSON.stringify({
+                    keys: [
+                        Object.assign(
+                            ecKeys.publicKey.export({ format: 'jwk' }),
+                            { kid: 'ec-1', use: 'sig' }
+                        ),
+                    ],
+                })
+            );
+        });
+
+        return jwksServer.listen(0, '127.0.0.1', () => {
+            const webtask = createWebtask(
+                {
+                    'wt-jwt-jwks-url': `http://127.0.0.1:${jwksServer.address()
+                        .port}/.well-known/jwks.json`,
+                },
+                {}
+            );
+            const token = sign(
+                { alg: 'ES256', kid: 'ec-1' },
+                { sub: 'user' },
+                ecKeys.privateKey
+            );
+
+            return withServer({ webtask }, (server, finish) =>
+                Async.mapSeries(
+                    [token, token],
+                    (token, next) =>
+                        request(server.url('webtask'), token, next),
+                    (error, responses) => {
+                        Assert.ifError(error);
+                        Assert.deepEqual(
+                            responses.map(res => res.statusCode),
+                            [200, 200]
+                        );
+                        Assert.equal(fetches, 1);
+
+                        return finish(() => jwksServer.close(done));
+                    }
+                )
+            );
+        });
+    });
+});
+
+function createWebtask(meta, secrets) {
+    return {
+        meta: Object.assign(
+            {
+                'wt-compiler': 'webtask-hacks/middleware',
+                'wt-middleware': 'webtask-hacks/authenticateJwt',
+            },
+            meta
+        ),
+        script: 'module.exports = (ctx, cb) => cb(null, ctx.user);',
+        secrets,
+    };
+}
+
+function encode(value) {
+    return Buffer.from(JSON.stringify(value))
+        .toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function request(url, token, cb) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+    return Wreck.request('GET', url, { headers }, (error, res) => {
+        if (error) return cb(error);
+
+        return Wreck.read(res, {}, (error, payload) => {
+            if (error) return cb(error);
+
+            res.payload = payload.toString();
+
+            return cb(null, res);
+        });
+    });
+}
+
+function sign(header, payload, key) {
+    const signingInput = `${encode(
+        Object.assign({ typ: 'JWT' }, header)
+    )}.${encode(payload)}`;
+    const signature =
+        header.alg === 'HS256'
+            ? Crypto.createHmac('sha256', key)
+                  .update(signingInput)
+                  .digest()
+            : header.alg === 'none'
+              ? Buffer.alloc(0)
+              : Crypto.sign('sha256', Buffer.from(signingInput), {
+                    key,
+                    dsaEncoding: 'ieee-p1363',
+                });
+
+    return `${signingInput}.${signature
+        .toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')}`;
+}
+
+function withServer(webtasks, cb) {
+    const server = Testing.createServer({
+        modules: { 'webtask-hacks': require('..') },
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
@@ -0,0 +1,233 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+const Zlib = require('zlib');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+const ITEMS = Array.from({ length: 100 }, (_, idx) => ({
+    id: idx,
+    name: `Item ${idx}`,
+}));
+
+describe('compress middleware', { parallel: true }, () => {
+    it('compresses buffered responses and answers conditional requests', done => {
+        const webtasks = {
+            items: createWebtask(
+                {},
+                `module.exports = (ctx, cb) => cb(null, ${JSON.stringify(
+                    ITEMS
+                )});`
+            ),
+            small: createWebtask(
+                {},
+                'module.exports = (ctx, cb) => cb(null, { ok: true });'
+            ),
+            excluded: createWebtask(
+                { 'wt-compress-exclude': 'application/json' },
+                `module.exports = (ctx, cb) => cb(null, ${JSON.stringify(
+                    ITEMS
+                )});`
+            ),
+        };
+        const requests = [
+            ['items', { 'Accept-Encoding': 'gzip, deflate' }],
+            ['items', { 'Accept-Encoding': 'gzip;q=0.5, br' }],
+            ['items', {}],
+            ['small', { 'Accept-Encoding': 'gzip' }],
+            ['excluded', { 'Accept-Encoding': 'gzip' }],
+        ];
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                requests,
+                (spec, next) => request(server.url(spec[0]), spec[1], next),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(
+                        responses.map(res => res.headers['content-encoding']),
+                        ['gzip', 'br', undefined, undefined, undefined]
+                    );
+                    Assert.deepEqual(
+                        responses.map(res => res.headers['vary']),
+                        [
+                            'Accept, Accept-Encoding',
+                            'Accept, Accept-Encoding',
+                            'Accept, Accept-Encoding',
+                            'Accept',
+                            'Accept',
+                        ]
+                    );
+                    Assert.deepEqual(
+                        JSON.parse(Zlib.gunzipSync(responses[0].payload)),
+                        ITEMS
+                    );
+                    Assert.deepEqual(
+                        JSON.parse(
+                            Zlib.brotliDecompressSync(responses[1].payload)
+                        ),
+                        ITEMS
+                    );
+                    Assert.deepEqual(JSON.parse(responses[2].payload), ITEMS);
+                    Assert.equal(
+                        responses[0].headers['content-length'],
+                        responses[0].payload.length
+                    );
+                    Assert.ok(/^"[^"]+-gzip"$/.test(responses[0].headers.etag));
+                    Assert.notEqual(
+                        responses[0].headers.etag,
+                        responses[2].headers.etag
+                    );
+
+                    const conditionalRequests = [
+                        [
+                            {
+                                'Accept-Encoding': 'gzip',
+                                'If-None-Match': responses[0].headers.etag,
+                            },
+                            304,
+                        ],
+                        [{ 'If-None-Match': responses[0].headers.etag }, 200],
+                        [{ 'If-None-Match': '*' }, 304],
+                    ];
+
+                    return Async.mapSeries(
+                        conditionalRequests,
+                        (spec, next) =>
+                            request(server.url('items'), spec[0], next),
+                        (error, conditionalResponses) => {
+                            Assert.ifError(error);
+                            Assert.deepEqual(
+                                conditionalResponses.map(res => res.statusCode),
+                                conditionalRequests.map(spec => spec[1])
+                            );
+                            Assert.equal(
+                                conditionalResponses[0].payload.length,
+                                0
+                            );
+                            Assert.equal(
+                                conditionalResponses[0].headers.etag,
+                                responses[0].headers.etag
+                            );
+
+                            return finish(done);
+                        }
+                    );
+                }
+            )
+        );
+    });
+
+    it('compresses streamed responses', done => {
+        const webtasks = {
+            stream: createWebtask(
+                { 'wt-compress-threshold': '0' },
+                `
+                    module.exports = async (ctx, req, res) => {
+                        res.writeHead(200, { 'Content-Type': 'text/plain' });
+                        setTimeout(() => {
+                            res.write('Hello, ');
+                            res.end('world');
+                        }, 10);
+                    };
+                `
+            ),
+        };
+
+        return withServer(webtasks, (server, finish) =>
+            request(
+                server.url('stream'),
+                { 'Accept-Encoding': 'gzip' },
+                (error, res) => {
+                    Assert.ifError(error);
+                    Assert.equal(res.statusCode, 200);
+                    Assert.equal(res.headers['content-encoding'], 'gzip');
+                    Assert.equal(res.headers.etag, undefined);
+                    Assert.equal(
+                        Zlib.gunzipSync(res.payload).toString(),
+                        'Hello, world'
+                    );
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('reports deferred headers as sent', done => {
+        const webtasks = {
+            failing: createWebtask(
+                {},
+                `
+                    module.exports = async (ctx, req, res) => {
+                        res.writeHead(202, { 'Content-Type': 'text/plain' });
+
+                        throw new Error('Failed after the headers');
+                    };
+                `
+            ),
+        };
+
+        return withServer(webtasks, (server, finish) =>
+            request(server.url('failing'), {}, (error, res) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 202);
+                Assert.equal(res.headers['content-type'], 'text/plain');
+                Assert.equal(res.payload.length, 0);
+
+                return finish(done);
+            })
+        );
+    });
+});
+
+function createWebtask(meta, script) {
+    return {
+        meta: Object.assign(
+            {
+                'wt-compiler': 'webtask-hacks/middleware',
+                'wt-middleware': 'webtask-hacks/compress',
+            },
+            meta
+        ),
+        script,
+    };
+}
+
+function request(url, headers, cb) {
+    return Wreck.request('GET', url, { headers }, (error, res) => {
+        if (error) return cb(error);
+
+        return Wreck.read(res, {}, (error, payload) => {
+            if (error) return cb(error);
+
+            res.payload = payload;
+
+            return cb(null, res);
+        });
+    });
+}
+
+function withServer(webtasks, cb) {
+    const server = Testing.createServer({
+        modules: { 'webtask-hacks': require('..') },
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
@@ -0,0 +1,161 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+describe('cors middleware', { parallel: true }, () => {
+    it('answers preflight requests and decorates responses', done => {
+        const webtasks = {
+            api: {
+                meta: {
+                    'wt-compiler': 'webtask-hacks/middleware',
+                    'wt-cors-credentials': 'true',
+                    'wt-cors-expose-headers': 'X-Request-Id',
+                    'wt-cors-max-age': '600',
+                    'wt-cors-methods': 'GET, POST',
+                    'wt-cors-origins':
+                        'https://app.example.com, https://*.example.org, /^http:\\/\\/localhost:\\d+$/',
+                    'wt-middleware':
+                        'webtask-hacks/cors,webtask-hacks/authenticate',
+                },
+                script: 'module.exports = async () => ({ ok: true });',
+                secrets: { 'wt-auth-secret': 'key' },
+            },
+        };
+        const preflightHeaders = {
+            'Access-Control-Request-Headers': 'Authorization, Content-Type',
+            'Access-Control-Request-Method': 'POST',
+        };
+        const requests = [
+            [
+                'OPTIONS',
+                Object.assign(
+                    { Origin: 'https://app.example.com' },
+                    preflightHeaders
+                ),
+            ],
+            [
+                'OPTIONS',
+                Object.assign({ Origin: 'https://evil.com' }, preflightHeaders),
+            ],
+            [
+                'GET',
+                {
+                    Authorization: 'Bearer key',
+                    Origin: 'https://eu.example.org',
+                },
+            ],
+            ['GET', { Origin: 'http://localhost:8080' }],
+            ['GET', { Origin: 'https://evil.com' }],
+        ];
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                requests,
+                (req, next) =>
+                    Wreck.request(
+                        req[0],
+                        server.url('api'),
+                        { headers: req[1] },
+                        (error, res) => {
+                            if (error) return next(error);
+
+                            res.resume();
+
+                            return next(null, res);
+                        }
+                    ),
+                (error, responses) => {
+                    Assert.ifError(error);
+
+                    const preflight = responses[0];
+                    const rejectedPreflight = responses[1];
+                    const actual = responses[2];
+                    const unauthorized = responses[3];
+                    const disallowed = responses[4];
+
+                    Assert.equal(preflight.statusCode, 204);
+                    Assert.equal(
+                        preflight.headers['access-control-allow-origin'],
+                        'https://app.example.com'
+                    );
+                    Assert.equal(
+                        preflight.headers['access-control-allow-methods'],
+                        'GET,POST'
+                    );
+                    Assert.equal(
+                        preflight.headers['access-control-allow-headers'],
+                        'Authorization,Content-Type'
+                    );
+                    Assert.equal(
+                        preflight.headers['access-control-max-age'],
+                        '600'
+                    );
+                    Assert.equal(
+                        preflight.headers['access-control-allow-credentials'],
+                        'true'
+                    );
+
+                    Assert.equal(rejectedPreflight.statusCode, 204);
+                    Assert.equal(
+                        rejectedPreflight.headers[
+                            'access-control-allow-origin'
+                        ],
+                        undefined
+                    );
+
+                    Assert.equal(actual.statusCode, 200);
+                    Assert.equal(
+                        actual.headers['access-control-allow-origin'],
+                        'https://eu.example.org'
+                    );
+                    Assert.equal(
+                        actual.headers['access-control-expose-headers'],
+                        'X-Request-Id'
+                    );
+                    Assert.equal(actual.headers['vary'], 'Origin, Accept');
+
+                    // Error responses also carry the CORS headers
+                    Assert.equal(unauthorized.statusCode, 403);
+                    Assert.equal(
+                        unauthorized.headers['access-control-allow-origin'],
+                        'http://localhost:8080'
+                    );
+
+                    Assert.equal(disallowed.statusCode, 403);
+                    Assert.equal(
+                        disallowed.headers['access-control-allow-origin'],
+                        undefined
+                    );
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+});
+
+function withServer(webtasks, cb) {
+    const server = Testing.createServer({
+        modules: { 'webtask-hacks': require('..') },
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
@@ -0,0 +1,205 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Lab = require('lab');
+const Storage = require('../lib/storage');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+describe('cronLock middleware', { parallel: true }, () => {
+    it('prevents overlapping runs and records the last run', done => {
+        const webtasks = {
+            reject: createWebtask({}),
+            skip: createWebtask({ 'wt-cron-lock-conflict': 'skip' }),
+        };
+
+        return withServer(webtasks, (server, finish) =>
+            Async.map(
+                ['reject', 'reject', 'skip', 'skip'],
+                (name, next) => request(server.url(name), next),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(
+                        responses.map(res => res.statusCode).sort(),
+                        [200, 200, 200, 409]
+                    );
+
+                    const skipped = responses
+                        .slice(2)
+                        .filter(res => res.payload.skipped);
+
+                    Assert.equal(skipped.length, 1);
+
+                    return request(server.url('reject'), (error, res) => {
+                        Assert.ifError(error);
+                        Assert.equal(res.statusCode, 200);
+                        Assert.equal(res.payload.lastRun.outcome, 'success');
+                        Assert.equal(res.payload.lastRun.statusCode, 200);
+                        Assert.ok(res.payload.lastRun.durationMs >= 0);
+
+                        return finish(done);
+                    });
+                }
+            )
+        );
+    });
+});
+
+describe('storage', { parallel: true }, () => {
+    it('retries conflicting updates of webtask storage', done => {
+        const storage = Testing.createStorage({});
+        const stores = [storage, storage.connect()].map(storage =>
+            Storage.create({ meta: {}, storage })
+        );
+
+        return Async.each(
+            stores,
+            (store, next) =>
+                store.update('count', count => (count || 0) + 1, next),
+            error => {
+                Assert.ifError(error);
+
+                return stores[0].get('count', (error, count) => {
+                    Assert.ifError(error);
+                    Assert.equal(count, 2);
+
+                    done();
+                });
+            }
+        );
+    });
+
+    it('keeps values apart from the data of the webtask', done => {
+        const storage = Testing.createStorage({ own: true });
+        const store = Storage.create({ meta: {}, storage });
+
+        return store.update('count', () => 1, error => {
+            Assert.ifError(error);
+
+            return storage.get((error, data) => {
+                Assert.ifError(error);
+                Assert.deepEqual(data, {
+                    own: true,
+                    'webtask-hacks': { count: 1 },
+                });
+
+                done();
+            });
+        });
+    });
+
+    it('refuses webtask storage holding data that is not an object', done => {
+        const stores = [['a'], 'text'].map(data =>
+            Storage.create({ meta: {}, storage: Testing.createStorage(data) })
+        );
+
+        return Async.map(
+            stores,
+            (store, next) =>
+                store.update('count', () => 1, error => next(null, error)),
+            (error, errors) => {
+                Assert.ifError(error);
+                errors.forEach(error =>
+                    Assert.ok(/not an object/.test(error.message))
+                );
+
+                done();
+            }
+        );
+    });
+
+    it('deletes expired values when updating stores', done => {
+        const stores = [
+            Storage.create({ meta: {}, storage: Testing.createStorage() }),
+            Storage.create(
+                { meta: { 'wt-storage': 'memory' } },
+                { namespace: 'storage-expiry' }
+            ),
+        ];
+        const now = Date.now();
+
+        return Async.map(
+            stores,
+            (store, next) =>
+                Async.series(
+                    [
+                        cb =>
+                            store.update('old', () => ({ expiresAt: now }), cb),
+                        cb =>
+                            store.update(
+                                'fresh',
+                                () => ({ expiresAt: now + 60000 }),
+                                cb
+                            ),
+                        cb => store.update('new', () => ({}), cb),
+                        cb => store.get('old', cb),
+                        cb => store.get('fresh', cb),
+                    ],
+                    next
+                ),
+            (error, results) => {
+                Assert.ifError(error);
+                results.forEach(result => {
+                    Assert.equal(result[3], undefined);
+                    Assert.deepEqual(result[4], { expiresAt: now + 60000 });
+                });
+
+                done();
+            }
+        );
+    });
+});
+
+function createWebtask(meta) {
+    return {
+        meta: Object.assign(
+            {
+                'wt-compiler': 'webtask-hacks/middleware',
+                'wt-middleware': 'webtask-hacks/cronLock',
+                'wt-storage': 'memory',
+            },
+            meta
+        ),
+        script: `
+            module.exports = (ctx, cb) =>
+                setTimeout(() => cb(null, { lastRun: ctx.cron.lastRun }), 50);
+        `,
+    };
+}
+
+function request(url, cb) {
+    return Wreck.request('POST', url, {}, (error, res) => {
+        if (error) return cb(error);
+
+        return Wreck.read(res, { json: 'force' }, (error, payload) => {
+            if (error) return cb(error);
+
+            res.payload = payload;
+
+            return cb(null, res);
+        });
+    });
+}
+
+function withServer(webtasks, cb) {
+    const server = Testing.createServer({
+        modules: { 'webtask-hacks': require('..') },
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
@@ -0,0 +1,481 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Lab = require('lab');
+const Negotiation = require('../lib/negotiation');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+describe('default middleware', { parallel: true }, () => {
+    it('sends the status code and headers of response envelopes', done => {
+        const webtasks = {
+            created: createWebtask(`
+                module.exports = (ctx, cb) => cb(null, ctx.response({
+                    statusCode: 201,
+                    headers: { Location: '/items/1' },
+                    body: { id: 1 },
+                }));
+            `),
+            empty: createWebtask(`
+                module.exports = async ctx => ctx.response({
+                    statusCode: 204,
+                    body: { ignored: true },
+                });
+            `),
+            redirect: createWebtask(`
+                const WebtaskHacks = require('webtask-hacks');
+
+                module.exports = cb => cb(null, WebtaskHacks.response({
+                    statusCode: 302,
+                    headers: { Location: 'https://example.com' },
+                }));
+            `),
+            text: createWebtask(`
+                module.exports = (ctx, cb) => cb(null, ctx.response({
+                    headers: {
+                        'Cache-Control': 'max-age=60',
+                        'Content-Type': 'text/plain',
+                    },
+                    body: 'hello',
+                }));
+            `),
+        };
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                ['created', 'empty', 'redirect', 'text'],
+                (name, next) => request('GET', server.url(name), next),
+                (error, responses) => {
+                    Assert.ifError(error);
+
+                    const created = responses[0];
+                    const empty = responses[1];
+                    const redirect = responses[2];
+                    const text = responses[3];
+
+                    Assert.equal(created.statusCode, 201);
+                    Assert.equal(created.headers.location, '/items/1');
+                    Assert.equal(
+                        created.headers['content-type'],
+                        'application/json'
+                    );
+                    Assert.deepEqual(JSON.parse(created.payload), { id: 1 });
+
+                    Assert.equal(empty.statusCode, 204);
+                    Assert.equal(empty.payload, '');
+
+                    Assert.equal(redirect.statusCode, 302);
+                    Assert.equal(
+                        redirect.headers.location,
+                        'https://example.com'
+                    );
+                    Assert.equal(redirect.payload, '');
+
+                    Assert.equal(text.statusCode, 200);
+                    Assert.equal(text.headers['content-type'], 'text/plain');
+                    Assert.equal(text.headers['cache-control'], 'max-age=60');
+                    Assert.equal(text.payload, 'hello');
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('rejects invalid response envelopes', done => {
+        const webtasks = {
+            invalid: createWebtask(`
+                module.exports = (ctx, cb) =>
+                    cb(null, ctx.response({ statusCode: 42 }));
+            `),
+        };
+
+        return withServer(webtasks, (server, finish) =>
+            request('GET', server.url('invalid'), (error, res) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 500);
+                Assert.equal(
+                    JSON.parse(res.payload).message,
+                    'Invalid response status code: 42'
+                );
+
+                return finish(done);
+            })
+        );
+    });
+
+    it('negotiates the format of the response', done => {
+        const webtasks = {
+            binary: createWebtask(`
+                module.exports = async () => Buffer.from([0, 1, 2]);
+            `),
+            rows: createWebtask(`
+                module.exports = async () => [
+                    { id: 1, name: 'one' },
+                    { id: 2, name: 'two, "2"' },
+                ];
+            `),
+            stream: createWebtask(`
+                const Stream = require('stream');
+
+                module.exports = async () => {
+                    const stream = new Stream.PassThrough();
+
+                    stream.end('streamed');
+
+                    return stream;
+                };
+            `),
+            text: createWebtask(`
+                module.exports = async () => 'hello';
+            `),
+        };
+        const requests = [
+            ['binary', {}],
+            ['rows', { accept: 'text/csv' }],
+            [
+                'rows',
+                { accept: 'application/x-ndjson, application/json;q=0.5' },
+            ],
+            ['rows', { accept: 'text/html' }],
+            ['stream', {}],
+            ['text', { accept: 'text/plain' }],
+            ['text', {}],
+            ['text', { accept: '*/*' }],
+        ];
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                requests,
+                (request, next) =>
+                    requestWithHeaders(
+                        server.url(request[0]),
+                        request[1],
+                        next
+                    ),
+                (error, responses) => {
+                    Assert.ifError(error);
+
+                    const binary = responses[0];
+                    const csv = responses[1];
+                    const ndjson = responses[2];
+                    const unacceptable = responses[3];
+                    const stream = responses[4];
+                    const text = responses[5];
+                    const jsonText = responses[6];
+                    const anyText = responses[7];
+
+                    Assert.equal(
+                        binary.headers['content-type'],
+                        'application/octet-stream'
+                    );
+                    Assert.deepEqual(binary.rawPayload, Buffer.from([0, 1, 2]));
+
+                    Assert.equal(
+                        csv.headers['content-type'],
+                        'text/csv; charset=utf-8'
+                    );
+                    Assert.equal(csv.headers['vary'], 'Accept');
+                    Assert.equal(
+                        csv.payload,
+                        'id,name\r\n1,one\r\n2,"two, ""2"""\r\n'
+                    );
+
+                    Assert.equal(
+                        ndjson.headers['content-type'],
+                        'application/x-ndjson'
+                    );
+                    Assert.equal(
+                        ndjson.payload,
+                        '{"id":1,"name":"one"}\n{"id":2,"name":"two, \\"2\\""}\n'
+                    );
+
+                    Assert.equal(unacceptable.statusCode, 406);
+
+                    Assert.equal(stream.payload, 'streamed');
+
+                    Assert.equal(
+                        text.headers['content-type'],
+                        'text/plain; charset=utf-8'
+                    );
+                    Assert.equal(text.payload, 'hello');
+
+                    Assert.equal(
+                        jsonText.headers['content-type'],
+                        'application/json'
+                    );
+                    Assert.equal(jsonText.payload, '"hello"');
+
+                    Assert.equal(
+                        anyText.headers['content-type'],
+                        'application/json'
+                    );
+                    Assert.equal(anyText.payload, '"hello"');
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('parses request bodies according to their content type', done => {
+        const boundary = 'test-boundary';
+        const multipart = [
+            `--${boundary}`,
+            'Content-Disposition: form-data; name="title"',
+            '',
+            'Report',
+            `--${boundary}`,
+            'Content-Disposition: form-data; name="file"; filename="a.txt"',
+            'Content-Type: text/plain',
+            '',
+            'file contents',
+            `--${boundary}--`,
+            '',
+        ].join('\r\n');
+        const webtasks = {
+            echo: createWebtask(
+                `
+                module.exports = async ctx => {
+                    const body = ctx.body;
+
+                    if (Buffer.isBuffer(body)) return { buffer: body.length };
+                    if (body && body.file) {
+                        return {
+                            title: body.title,
+                            filename: body.file.filename,
+                            contentType: body.file.contentType,
+                            data: body.file.data.toString(),
+                        };
+                    }
+
+                    return { body };
+                };
+            `,
+                { 'wt-max-body-size': '256' }
+            ),
+        };
+        const requests = [
+            ['{"a":1}', 'application/json'],
+            ['{"a":', 'application/json'],
+            ['a=1&b=2', 'application/x-www-form-urlencoded'],
+            ['hello', 'text/plain; charset=utf-8'],
+            ['\u0000\u0001', 'application/octet-stream'],
+            [multipart, `multipart/form-data; boundary=${boundary}`],
+            ['x'.repeat(257), 'text/plain'],
+        ];
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                requests,
+                (request, next) =>
+                    requestWithPayload(
+                        server.url('echo'),
+                        request[0],
+                        request[1],
+                        next
+                    ),
+                (error, responses) => {
+                    Assert.ifError(error);
+
+                    const bodies = responses.map(res => JSON.parse(res.payload));
+
+                    Assert.deepEqual(bodies[0], { body: { a: 1 } });
+                    Assert.equal(responses[1].statusCode, 400);
+                    Assert.deepEqual(bodies[2], { body: { a: '1', b: '2' } });
+                    Assert.deepEqual(bodies[3], { body: 'hello' });
+                    Assert.deepEqual(bodies[4], { buffer: 2 });
+                    Assert.deepEqual(bodies[5], {
+                        title: 'Report',
+                        filename: 'a.txt',
+                        contentType: 'text/plain',
+                        data: 'file contents',
+                    });
+                    Assert.equal(responses[6].statusCode, 413);
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+});
+
+describe('content negotiation', { parallel: true }, () => {
+    it('parses multipart fields named like object properties', done => {
+        const boundary = 'test-boundary';
+        const field = (name, value) => [
+            `--${boundary}`,
+            `Content-Disposition: form-data; name="${name}"`,
+            '',
+            value,
+        ];
+        const multipart = []
+            .concat(
+                field('__proto__', 'a'),
+                field('__proto__', 'b'),
+                field('constructor', 'c'),
+                [`--${boundary}--`, '']
+            )
+            .join('\r\n');
+        const webtasks = {
+            echo: createWebtask(`
+                module.exports = async ctx => ({
+                    fields: Object.keys(ctx.body),
+                    proto: ctx.body['__proto__'],
+                    constructor: ctx.body.constructor,
+                });
+            `),
+        };
+
+        return withServer(webtasks, (server, finish) =>
+            requestWithPayload(
+                server.url('echo'),
+                multipart,
+                `multipart/form-data; boundary=${boundary}`,
+                (error, res) => {
+                    Assert.ifError(error);
+                    Assert.equal(res.statusCode, 200);
+                    Assert.deepEqual(JSON.parse(res.payload), {
+                        fields: ['__proto__', 'constructor'],
+                        proto: ['a', 'b'],
+                        constructor: 'c',
+                    });
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('uses bodies parsed by earlier middleware', done => {
+        const webtasks = {
+            echo: createWebtask(
+                'module.exports = (ctx, cb) => cb(null, ctx.body);',
+                { 'wt-middleware': 'test-body-parser/parse' }
+            ),
+        };
+        const modules = {
+            'test-body-parser': {
+                parse: (req, res, next) => {
+                    req.body = { parsed: true };
+                    req.resume();
+
+                    return next();
+                },
+            },
+        };
+
+        return withServer(webtasks, modules, (server, finish) =>
+            requestWithPayload(
+                server.url('echo'),
+                '{"a":1}',
+                'application/json',
+                (error, res) => {
+                    Assert.ifError(error);
+                    Assert.equal(res.statusCode, 200);
+                    Assert.deepEqual(JSON.parse(res.payload), {
+                        parsed: true,
+                    });
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('prefers the most specific and highest quality media range', done => {
+        const candidates = ['application/json', 'text/plain', 'text/csv'];
+
+        Assert.equal(
+            Negotiation.negotiate(undefined, candidates),
+            'application/json'
+        );
+        Assert.equal(
+            Negotiation.negotiate('*/*', candidates),
+            'application/json'
+        );
+        Assert.equal(Negotiation.negotiate('text/*', candidates), 'text/plain');
+        Assert.equal(
+            Negotiation.negotiate('text/*;q=0.5, text/csv', candidates),
+            'text/csv'
+        );
+        Assert.equal(
+            Negotiation.negotiate('*/*, application/json;q=0', candidates),
+            'text/plain'
+        );
+        Assert.equal(Negotiation.negotiate('image/png', candidates), null);
+
+        done();
+    });
+});
+
+function createWebtask(script, meta) {
+    return {
+        meta: Object.assign(
+            { 'wt-compiler': 'webtask-hacks/middleware' },
+            meta
+        ),
+        script,
+    };
+}
+
+function requestWithPayload(url, payload, contentType, cb) {
+    return request(
+        'POST',
+        url,
+        { headers: { 'Content-Type': contentType }, payload },
+        cb
+    );
+}
+
+function requestWithHeaders(url, headers, cb) {
+    return request('GET', url, { headers }, cb);
+}
+
+function request(method, url, options, cb) {
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+
+    return Wreck.request(method, url, options, (error, res) => {
+        if (error) return cb(error);
+
+        return Wreck.read(res, {}, (error, payload) => {
+            if (error) return cb(error);
+
+            res.payload = payload.toString();
+            res.rawPayload = payload;
+
+            return cb(null, res);
+        });
+    });
+}
+
+function withServer(webtasks, modules, cb) {
+    if (typeof modules === 'function') {
+        cb = modules;
+        modules = {};
+    }
+
+    const server = Testing.createServer({
+        modules: Object.assign({ 'webtask-hacks': require('..') }, modules),
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
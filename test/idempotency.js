@@ -0,0 +1,262 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+// Creates a resource, slowly enough for concurrent requests to overlap
+const CREATE_SCRIPT = `
+        const Crypto = require('crypto');
+
+        module.exports = (ctx, cb) =>
+            setTimeout(
+                () =>
+                    cb(null, {
+                        id: Crypto.randomBytes(8).toString('hex'),
+                        name: ctx.body.name,
+                    }),
+                50
+            );
+    `;
+
+describe('idempotency middleware', { parallel: true }, () => {
+    it('replays the response of requests having the same key', done => {
+        const webtasks = { create: createWebtask() };
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                [
+                    { key: 'a', payload: '{"name":"one"}' },
+                    { key: 'a', payload: '{"name":"one"}' },
+                    { key: 'a', payload: '{"name":"two"}' },
+                    { key: 'b', payload: '{"name":"one"}' },
+                    { payload: '{"name":"one"}' },
+                ],
+                (spec, next) =>
+                    request(server.url('create'), spec.key, spec.payload, next),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(
+                        responses.map(res => res.statusCode),
+                        [200, 200, 422, 200, 200]
+                    );
+                    Assert.equal(
+                        responses[0].headers['idempotent-replayed'],
+                        undefined
+                    );
+                    Assert.equal(
+                        responses[1].headers['idempotent-replayed'],
+                        'true'
+                    );
+                    Assert.equal(
+                        responses[1].headers['content-type'],
+                        'application/json'
+                    );
+                    Assert.deepEqual(
+                        responses[1].payload,
+                        responses[0].payload
+                    );
+                    Assert.notEqual(
+                        responses[3].payload.id,
+                        responses[0].payload.id
+                    );
+                    Assert.notEqual(
+                        responses[4].payload.id,
+                        responses[0].payload.id
+                    );
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('rejects requests whose key is in progress', done => {
+        const webtasks = { create: createWebtask() };
+
+        return withServer(webtasks, (server, finish) =>
+            Async.map(
+                [0, 1],
+                (idx, next) =>
+                    request(server.url('create'), 'c', '{"name":"one"}', next),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(
+                        responses.map(res => res.statusCode).sort(),
+                        [200, 409]
+                    );
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('does not record responses that are too large', done => {
+        const webtasks = {
+            create: createWebtask(undefined, {
+                'wt-idempotency-max-response-size': '16',
+            }),
+        };
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                [0, 1],
+                (idx, next) =>
+                    request(server.url('create'), 'e', '{"name":"one"}', next),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(
+                        responses.map(res => res.statusCode),
+                        [200, 200]
+                    );
+                    Assert.equal(
+                        responses[1].headers['idempotent-replayed'],
+                        undefined
+                    );
+                    Assert.notEqual(
+                        responses[1].payload.id,
+                        responses[0].payload.id
+                    );
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('does not record server errors', done => {
+        const webtasks = {
+            create: createWebtask(`
+                let attempts = 0;
+
+                module.exports = (ctx, cb) => {
+                    attempts++;
+
+                    if (attempts === 1) {
+                        const error = new Error('Unavailable');
+
+                        error.statusCode = 503;
+
+                        return cb(error);
+                    }
+
+                    return cb(null, { attempts });
+                };
+            `),
+        };
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                [0, 1, 2],
+                (idx, next) =>
+                    request(server.url('create'), 'f', '{"name":"one"}', next),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(
+                        responses.map(res => res.statusCode),
+                        [503, 200, 200]
+                    );
+                    Assert.equal(
+                        responses[1].headers['idempotent-replayed'],
+                        undefined
+                    );
+                    Assert.deepEqual(responses[1].payload, { attempts: 2 });
+                    Assert.equal(
+                        responses[2].headers['idempotent-replayed'],
+                        'true'
+                    );
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('lets 3-ary webtasks read the fingerprinted body', done => {
+        const webtasks = {
+            echo: createWebtask(
+                'module.exports = (ctx, req, res) => req.pipe(res);'
+            ),
+        };
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                [0, 1],
+                (idx, next) =>
+                    request(server.url('echo'), 'd', '{"name":"one"}', next),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(
+                        responses.map(res => res.statusCode),
+                        [200, 200]
+                    );
+                    Assert.deepEqual(responses[0].payload, { name: 'one' });
+                    Assert.deepEqual(responses[1].payload, { name: 'one' });
+                    Assert.equal(
+                        responses[1].headers['idempotent-replayed'],
+                        'true'
+                    );
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+});
+
+function createWebtask(script, meta) {
+    return {
+        meta: Object.assign(
+            {
+                'wt-compiler': 'webtask-hacks/middleware',
+                'wt-middleware': 'webtask-hacks/idempotency',
+                'wt-storage': 'memory',
+            },
+            meta
+        ),
+        script: script || CREATE_SCRIPT,
+    };
+}
+
+function request(url, key, payload, cb) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (key) headers['Idempotency-Key'] = key;
+
+    return Wreck.request('POST', url, { headers, payload }, (error, res) => {
+        if (error) return cb(error);
+
+        return Wreck.read(res, { json: 'force' }, (error, payload) => {
+            if (error) return cb(error);
+
+            res.payload = payload;
+
+            return cb(null, res);
+        });
+    });
+}
+
+function withServer(webtasks, cb) {
+    const server = Testing.createServer({
+        modules: { 'webtask-hacks': require('..') },
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
@@ -0,0 +1,108 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+describe('ipFilter middleware', { parallel: true }, () => {
+    it('filters clients by their forwarded address', done => {
+        const webtasks = {
+            invalid: createWebtask({ 'wt-ip-allow': '10.0.0.0/33' }),
+            local: createWebtask({ 'wt-ip-allow': '127.0.0.1' }),
+            partners: createWebtask(
+                {
+                    'wt-ip-allow': '10.0.0.0/8, 2001:db8::/32',
+                    'wt-trusted-hops': '2',
+                },
+                { 'wt-ip-deny': '10.0.0.66' }
+            ),
+        };
+        const requests = [
+            ['partners', '10.1.2.3'],
+            ['partners', '10.0.0.66'],
+            ['partners', '192.168.0.1'],
+            ['partners', '2001:db8::1'],
+            ['partners', '1.1.1.1, 10.1.2.3'],
+            // Only the entry appended by the trusted proxy is used
+            ['partners', '10.1.2.3, 8.8.8.8'],
+            ['local', '10.1.2.3'],
+            ['invalid', undefined],
+        ];
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                requests,
+                (req, next) =>
+                    Wreck.request(
+                        'GET',
+                        server.url(req[0]),
+                        {
+                            headers: req[1]
+                                ? { 'X-Forwarded-For': req[1] }
+                                : {},
+                        },
+                        (error, res) => {
+                            if (error) return next(error);
+
+                            res.resume();
+
+                            return next(null, res.statusCode);
+                        }
+                    ),
+                (error, statusCodes) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(statusCodes, [
+                        200,
+                        403,
+                        403,
+                        200,
+                        200,
+                        403,
+                        200,
+                        500,
+                    ]);
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+});
+
+function createWebtask(meta, secrets) {
+    return {
+        meta: Object.assign(
+            {
+                'wt-compiler': 'webtask-hacks/middleware',
+                'wt-middleware': 'webtask-hacks/ipFilter',
+            },
+            meta
+        ),
+        script: 'module.exports = cb => cb(null, "ok");',
+        secrets,
+    };
+}
+
+function withServer(webtasks, cb) {
+    const server = Testing.createServer({
+        modules: { 'webtask-hacks': require('..') },
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
@@ -0,0 +1,352 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Dgram = require('dgram');
+const Http = require('http');
+const JsonLogger = require('../middleware/json_logger');
+const Lab = require('lab');
+const LogTransports = require('../lib/log_transports');
+const Modules = require('../testing/modules');
+const RequestContext = require('../lib/request_context');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { after, describe, it } = lab;
+
+module.exports = { lab };
+
+// Later tests must not log through the custom console
+after(done => {
+    JsonLogger.uninstallCustomLogger();
+
+    done();
+});
+
+describe('jsonLogger middleware', { parallel: true }, () => {
+    it('formats records with levels and fields', done => {
+        const context = { requestId: 'req_1', webtaskId: 'wt_1' };
+        const circular = { name: 'circular' };
+
+        circular.self = circular;
+
+        const record = JSON.parse(
+            JsonLogger.formatRecord(
+                'warn',
+                ['Retrying %s', 'upload', { attempt: 2, level: 'ignored' }],
+                context
+            )
+        );
+
+        Assert.equal(record.chunk, 'Retrying upload');
+        Assert.equal(record.level, 'warn');
+        Assert.equal(record.attempt, 2);
+        Assert.equal(record.requestId, 'req_1');
+        Assert.equal(record.webtaskId, 'wt_1');
+        Assert.ok(!isNaN(Date.parse(record.time)));
+
+        const fallback = JSON.parse(
+            JsonLogger.formatRecord('info', [circular], context)
+        );
+
+        Assert.equal(fallback.name, undefined);
+        Assert.ok(/circular/.test(fallback.chunk));
+
+        done();
+    });
+
+    it('redacts the values of secrets', done => {
+        const secrets = {
+            API_KEY: 'sk_live_1234',
+            FLAG: '1',
+            PASSWORD: "it's a \"secret\"",
+        };
+        const redact = JsonLogger.createRedactor(secrets);
+        const line = redact(
+            JsonLogger.formatRecord(
+                'info',
+                [
+                    'Using %s and',
+                    secrets.API_KEY,
+                    { password: secrets.PASSWORD },
+                    new Map([['secrets', secrets]]),
+                ],
+                {}
+            )
+        );
+        const record = JSON.parse(line);
+
+        Assert.equal(line.indexOf('sk_live_1234'), -1);
+        Assert.equal(line.indexOf("it's"), -1);
+        Assert.equal(record.password, '[REDACTED]');
+        Assert.ok(/^Using \[REDACTED\] and Map/.test(record.chunk));
+        Assert.ok(/'1'/.test(record.chunk));
+        Assert.equal(JsonLogger.createRedactor({ FLAG: '1' }), null);
+
+        done();
+    });
+});
+
+describe('log transports', { parallel: true }, () => {
+    it('ships records over http, syslog and custom transports', done => {
+        const httpRequests = [];
+        const syslogMessages = [];
+        const customLines = [];
+        const httpServer = Http.createServer((req, res) => {
+            const chunks = [];
+
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                httpRequests.push({
+                    authorization: req.headers['authorization'],
+                    body: Buffer.concat(chunks).toString(),
+                });
+
+                // Fail the first attempt to exercise retries
+                res.writeHead(httpRequests.length === 1 ? 503 : 202);
+                res.end();
+            });
+        });
+        const syslogSocket = Dgram.createSocket('udp4');
+
+        syslogSocket.on('message', message =>
+            syslogMessages.push(message.toString())
+        );
+
+        return Async.parallel(
+            [
+                next => httpServer.listen(0, '127.0.0.1', () => next()),
+                next => syslogSocket.bind(0, '127.0.0.1', () => next()),
+            ],
+            () => {
+                const webtasks = {
+                    logs: {
+                        meta: {
+                            'wt-compiler': 'webtask-hacks/middleware',
+                            'wt-log-http-interval': '60',
+                            'wt-log-http-url': `http://127.0.0.1:${httpServer.address()
+                                .port}/logs`,
+                            'wt-log-level': 'info',
+                            'wt-log-syslog-host': '127.0.0.1',
+                            'wt-log-syslog-port': String(
+                                syslogSocket.address().port
+                            ),
+                            'wt-log-transports':
+                                'http, syslog, test-transport/create',
+                            'wt-middleware': 'webtask-hacks/jsonLogger',
+                        },
+                        script: `
+                            module.exports = (ctx, cb) => {
+                                console.debug('Hidden');
+                                console.info('Charged', { amount: 10 });
+                                console.error('Using', ctx.secrets.API_KEY);
+
+                                cb(null, { ok: true });
+                            };
+                        `,
+                        secrets: {
+                            API_KEY: 'sk_live_1234',
+                            'wt-log-http-token': 'log-token',
+                        },
+                    },
+                };
+                const server = Testing.createServer({
+                    modules: {
+                        'test-transport': {
+                            create: () => ({
+                                write: line => customLines.push(line),
+                            }),
+                        },
+                        'webtask-hacks': require('..'),
+                    },
+                    webtasks,
+                });
+
+                return server.listen(error => {
+                    Assert.ifError(error);
+
+                    return Wreck.get(server.url('logs'), error => {
+                        Assert.ifError(error);
+
+                        // Records were sent before the response ended
+                        Assert.equal(httpRequests.length, 2);
+                        Assert.equal(
+                            httpRequests[1].authorization,
+                            'Bearer log-token'
+                        );
+                        Assert.equal(
+                            httpRequests[1].body,
+                            httpRequests[0].body
+                        );
+
+                        const records = httpRequests[1].body
+                            .trim()
+                            .split('\n')
+                            .map(line => JSON.parse(line));
+
+                        Assert.deepEqual(
+                            records.map(record => record.level),
+                            ['info', 'error']
+                        );
+                        Assert.equal(records[0].amount, 10);
+                        Assert.equal(records[1].chunk, 'Using [REDACTED]');
+                        Assert.deepEqual(
+                            customLines.map(line => JSON.parse(line).chunk),
+                            ['Charged', 'Using [REDACTED]']
+                        );
+
+                        return Async.until(
+                            () => syslogMessages.length === 2,
+                            next => setTimeout(next, 10),
+                            () => {
+                                Assert.ok(/^<14>1 /.test(syslogMessages[0]));
+                                Assert.ok(/^<11>1 /.test(syslogMessages[1]));
+                                Assert.ok(
+                                    syslogMessages[1].indexOf(
+                                        ' - - {'
+                                    ) !== -1
+                                );
+
+                                syslogSocket.close();
+
+                                return Async.parallel(
+                                    [
+                                        next => server.close(next),
+                                        next => httpServer.close(next),
+                                    ],
+                                    done
+                                );
+                            }
+                        );
+                    });
+                });
+            }
+        );
+    });
+});
+
+describe('log transports cache', () => {
+    it('closes the transports of the least recently used settings', done => {
+        const closed = [];
+        const create = index =>
+            LogTransports.create({
+                'wt-log-test-index': String(index),
+                'wt-log-transports': 'test-closing-transport/create',
+            });
+
+        Modules.register('test-closing-transport', {
+            create: options => ({
+                close: () => closed.push(options.meta['wt-log-test-index']),
+                write: () => undefined,
+            }),
+        });
+
+        const first = create(0);
+
+        for (let i = 1; i < 16; i++) create(i);
+
+        // Using the first configuration again keeps it cached
+        Assert.equal(create(0), first);
+        create(16);
+
+        return setImmediate(() => {
+            Modules.unregister('test-closing-transport');
+
+            Assert.deepEqual(closed, ['1']);
+            Assert.equal(create(0), first);
+
+            done();
+        });
+    });
+});
+
+describe('request context', { parallel: true }, () => {
+    it('follows requests across asynchronous continuations', done => {
+        const webtasks = {
+            context: {
+                meta: {
+                    'wt-compiler': 'webtask-hacks/middleware',
+                    'wt-middleware': 'test-middleware/tag',
+                },
+                script: `
+                    const { getRequestContext } = require('webtask-hacks');
+
+                    module.exports = async () => {
+                        await new Promise(resolve => setTimeout(resolve, 20));
+
+                        return getRequestContext();
+                    };
+                `,
+            },
+        };
+        const server = Testing.createServer({
+            modules: {
+                'test-middleware': {
+                    tag: (req, res, next) => {
+                        RequestContext.getRequestContext().tag =
+                            req.headers['x-tag'];
+
+                        return setTimeout(next, 10);
+                    },
+                },
+                'webtask-hacks': require('..'),
+            },
+            webtasks,
+        });
+
+        return server.listen(error => {
+            Assert.ifError(error);
+
+            return Async.map(
+                ['a', 'b', 'c'],
+                (tag, next) =>
+                    Wreck.get(
+                        server.url('context'),
+                        { headers: { 'X-Tag': tag }, json: 'force' },
+                        (error, res, payload) => next(error, payload)
+                    ),
+                (error, contexts) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(contexts.map(context => context.tag), [
+                        'a',
+                        'b',
+                        'c',
+                    ]);
+                    Assert.equal(
+                        new Set(contexts.map(context => context.requestId))
+                            .size,
+                        3
+                    );
+                    Assert.ok(contexts.every(context => context.webtaskId));
+                    Assert.equal(RequestContext.getRequestContext(), undefined);
+
+                    return server.close(done);
+                }
+            );
+        });
+    });
+});
+
+describe('custom logger', () => {
+    it('can be uninstalled to restore the console', done => {
+        // Earlier tests may have installed it already
+        JsonLogger.uninstallCustomLogger();
+
+        const original = console;
+        const customConsole = JsonLogger.installCustomLogger();
+
+        Assert.equal(console, customConsole);
+        Assert.equal(JsonLogger.installCustomLogger(), customConsole);
+
+        JsonLogger.uninstallCustomLogger();
+
+        Assert.equal(console, original);
+
+        done();
+    });
+});
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
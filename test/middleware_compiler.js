@@ -0,0 +1,506 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Boom = require('boom');
+const Lab = require('lab');
+const MiddlewareCompiler = require('../compilers/middleware');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+const testMiddleware = {
+    fail: (req, res, next) => {
+        const error = new Error('Middleware failure');
+
+        error.statusCode = 418;
+
+        return next(error);
+    },
+    failBoom: (req, res, next) => next(Boom.unauthorized('Nope', 'Bearer')),
+    failAsync: () => Promise.reject(new Error('Async middleware failure')),
+    failWithInvalidHeader: (req, res, next) => {
+        const error = new Error('Invalid header');
+
+        error.statusCode = 401;
+        error.headers = { 'WWW-Authenticate': 'Bearer\r\nX-Injected: 1' };
+
+        return next(error);
+    },
+    failWithUpstreamHeaders: (req, res, next) => {
+        const error = new Error('Upstream failure');
+
+        error.statusCode = 503;
+        error.headers = {
+            'Content-Encoding': 'gzip',
+            'Content-Length': '2',
+            'Retry-After': '5',
+        };
+
+        return next(error);
+    },
+    handleError: (err, req, res, next) => {
+        if (err.statusCode === 404) return next(err);
+
+        res.writeHead(299, { 'Content-Type': 'text/plain' });
+        res.end(`handled: ${err.message}`);
+    },
+    passAsync: req => {
+        req.webtaskContext.passedAsync = true;
+
+        return Promise.resolve();
+    },
+    passError: (err, req, res, next) => next(err),
+    setParams: req =>
+        Promise.resolve().then(() => {
+            req.webtaskContext.params = req.params;
+        }),
+};
+
+describe('middleware compiler', { parallel: true }, () => {
+    it('aggregates errors resolving the pipeline', done => {
+        const meta = {
+            'wt-middleware': JSON.stringify([
+                'webtask-hacks-missing-module',
+                'util/missingExport',
+                { use: 'assert/strictEqual', options: {} },
+            ]),
+        };
+
+        return MiddlewareCompiler.compiler(
+            {
+                meta,
+                nodejsCompiler: Testing.createNodejsCompiler(),
+                script: 'module.exports = cb => cb();',
+            },
+            (error, webtaskFn) => {
+                Assert.ok(error);
+                Assert.equal(webtaskFn, undefined);
+                Assert.equal(error.errors.length, 3);
+                Assert.deepEqual(error.errors.map(e => e.index), [0, 1, 2]);
+                Assert.ok(
+                    /Failed to resolve 3 of 3 middleware/.test(error.message)
+                );
+
+                done();
+            }
+        );
+    });
+
+    it('compiles the webtask once across requests', done => {
+        let compilations = 0;
+        const nodejsCompiler = Testing.createNodejsCompiler();
+        const webtask = {
+            compiler: (options, cb) =>
+                MiddlewareCompiler.compiler(
+                    Object.assign({}, options, {
+                        nodejsCompiler: (script, cb) => {
+                            compilations++;
+
+                            return nodejsCompiler(script, cb);
+                        },
+                    }),
+                    cb
+                ),
+            script: `module.exports = cb => cb(null, 'ok');`,
+        };
+
+        return withServer({ webtask }, (server, finish) =>
+            request('GET', server.url('webtask'), (error, res, payload) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 200);
+                Assert.equal(payload, '"ok"');
+
+                return request('GET', server.url('webtask'), (error, res) => {
+                    Assert.ifError(error);
+                    Assert.equal(res.statusCode, 200);
+                    Assert.equal(compilations, 1);
+
+                    return finish(done);
+                });
+            })
+        );
+    });
+
+    it('passes errors to error-handling middleware', done => {
+        const webtask = createWebtask(
+            [
+                'test-middleware/fail',
+                'test-middleware/passError',
+                'test-middleware/handleError',
+            ],
+            `module.exports = cb => cb(null, 'unreachable');`
+        );
+
+        return withServer({ webtask }, (server, finish) =>
+            request('GET', server.url('webtask'), (error, res, payload) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 299);
+                Assert.equal(payload, 'handled: Middleware failure');
+
+                return finish(done);
+            })
+        );
+    });
+
+    it('passes webtask errors to trailing error-handling middleware', done => {
+        const webtask = createWebtask(
+            ['test-middleware/handleError'],
+            `module.exports = async () => { throw new Error('Webtask failure'); };`
+        );
+
+        return withServer({ webtask }, (server, finish) =>
+            request('GET', server.url('webtask'), (error, res, payload) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 299);
+                Assert.equal(payload, 'handled: Webtask failure');
+
+                return finish(done);
+            })
+        );
+    });
+
+    it('formats error responses according to the metadata', done => {
+        const failure = `module.exports = async () => { throw new Error('Secret failure'); };`;
+        const webtasks = {
+            legacy: createWebtask(['test-middleware/fail'], failure),
+            legacyBoom: createWebtask(['test-middleware/failBoom'], failure),
+            problem: createWebtask(['test-middleware/fail'], failure, {
+                'wt-error-format': 'problem',
+            }),
+            problemBoom: createWebtask(['test-middleware/failBoom'], failure, {
+                'wt-error-format': 'problem',
+            }),
+            problemServer: createWebtask([], failure, {
+                'wt-error-format': 'problem',
+            }),
+            problemDebug: createWebtask([], failure, {
+                'wt-debug': 'wt-errors',
+                'wt-error-format': 'problem',
+            }),
+        };
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                Object.keys(webtasks),
+                (name, next) =>
+                    request('GET', server.url(name), (error, res, payload) =>
+                        next(error, { res, payload: JSON.parse(payload) })
+                    ),
+                (error, responses) => {
+                    Assert.ifError(error);
+
+                    const legacy = responses[0];
+                    const legacyBoom = responses[1];
+                    const problem = responses[2];
+                    const problemBoom = responses[3];
+                    const problemServer = responses[4];
+                    const problemDebug = responses[5];
+
+                    Assert.equal(legacy.res.statusCode, 418);
+                    Assert.equal(
+                        legacy.res.headers['content-type'],
+                        'application/json'
+                    );
+                    Assert.deepEqual(legacy.payload, {
+                        message: 'Middleware failure',
+                        statusCode: 418,
+                    });
+
+                    // Boom errors are sent like other errors, as they always
+                    // were by this compiler
+                    Assert.equal(legacyBoom.res.statusCode, 500);
+                    Assert.equal(legacyBoom.payload.message, 'Nope');
+                    Assert.equal(legacyBoom.payload.statusCode, 500);
+
+                    Assert.equal(problem.res.statusCode, 418);
+                    Assert.equal(
+                        problem.res.headers['content-type'],
+                        'application/problem+json'
+                    );
+                    Assert.equal(problem.payload.type, 'about:blank');
+                    Assert.equal(problem.payload.status, 418);
+                    Assert.equal(problem.payload.detail, 'Middleware failure');
+                    Assert.equal(typeof problem.payload.title, 'string');
+                    Assert.equal(typeof problem.payload.instance, 'string');
+
+                    Assert.equal(problemBoom.res.statusCode, 401);
+                    Assert.equal(
+                        problemBoom.res.headers['www-authenticate'],
+                        'Bearer error="Nope"'
+                    );
+                    Assert.equal(problemBoom.payload.detail, 'Nope');
+
+                    Assert.equal(problemServer.res.statusCode, 500);
+                    Assert.deepEqual(Object.keys(problemServer.payload), [
+                        'type',
+                        'title',
+                        'status',
+                        'instance',
+                    ]);
+                    Assert.equal(
+                        problemServer.payload.title,
+                        'Internal Server Error'
+                    );
+
+                    Assert.equal(problemDebug.payload.detail, 'Secret failure');
+                    Assert.ok(/Secret failure/.test(problemDebug.payload.stack));
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('rejects unsupported error formats', done => {
+        return MiddlewareCompiler.compiler(
+            {
+                meta: { 'wt-error-format': 'xml' },
+                nodejsCompiler: Testing.createNodejsCompiler(),
+                script: 'module.exports = cb => cb();',
+            },
+            error => {
+                Assert.ok(error);
+                Assert.ok(/Unsupported wt-error-format/.test(error.message));
+
+                done();
+            }
+        );
+    });
+
+    it('responds with a bare 500 when the error cannot be sent', done => {
+        const webtask = createWebtask(
+            ['test-middleware/failWithInvalidHeader'],
+            `module.exports = cb => cb(null, 'unreachable');`
+        );
+
+        return withServer({ webtask }, (server, finish) =>
+            request('GET', server.url('webtask'), (error, res, payload) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 500);
+                Assert.equal(res.headers['x-injected'], undefined);
+                Assert.equal(payload, '');
+
+                return finish(done);
+            })
+        );
+    });
+
+    it('only sends the error headers describing how to recover', done => {
+        const webtask = createWebtask(
+            ['test-middleware/failWithUpstreamHeaders'],
+            `module.exports = cb => cb(null, 'unreachable');`
+        );
+
+        return withServer({ webtask }, (server, finish) =>
+            request('GET', server.url('webtask'), (error, res, payload) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 503);
+                Assert.equal(res.headers['retry-after'], '5');
+                Assert.equal(res.headers['content-encoding'], undefined);
+                Assert.equal(JSON.parse(payload).message, 'Upstream failure');
+
+                return finish(done);
+            })
+        );
+    });
+
+    it('supports promise-returning middleware and async webtasks', done => {
+        const webtasks = {
+            pass: createWebtask(
+                ['test-middleware/passAsync'],
+                `module.exports = async ctx => ({ passedAsync: ctx.passedAsync });`
+            ),
+            fail: createWebtask(
+                ['test-middleware/failAsync'],
+                `module.exports = async () => 'unreachable';`
+            ),
+        };
+
+        return withServer(webtasks, (server, finish) =>
+            request('GET', server.url('pass'), (error, res, payload) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 200);
+                Assert.deepEqual(JSON.parse(payload), { passedAsync: true });
+
+                return request(
+                    'GET',
+                    server.url('fail'),
+                    (error, res, payload) => {
+                        Assert.ifError(error);
+                        Assert.equal(res.statusCode, 500);
+                        Assert.equal(
+                            JSON.parse(payload).message,
+                            'Async middleware failure'
+                        );
+
+                        return finish(done);
+                    }
+                );
+            })
+        );
+    });
+
+    it('lets async 3-ary webtasks respond after they resolve', done => {
+        const webtask = createWebtask(
+            ['test-middleware/passAsync'],
+            `
+                module.exports = async (ctx, req, res) => {
+                    setTimeout(() => {
+                        res.writeHead(200, { 'Content-Type': 'text/plain' });
+                        res.end('responded later');
+                    }, 20);
+                };
+            `
+        );
+
+        return withServer({ webtask }, (server, finish) =>
+            request('GET', server.url('webtask'), (error, res, payload) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 200);
+                Assert.equal(payload, 'responded later');
+
+                return finish(done);
+            })
+        );
+    });
+
+    it('passes callbacks to async webtasks according to their arity', done => {
+        const webtasks = {
+            callback: createWebtask(
+                ['test-middleware/passAsync'],
+                `module.exports = async cb => cb(null, { called: true });`
+            ),
+            delayed: createWebtask(
+                ['test-middleware/passAsync'],
+                `
+                    module.exports = async (ctx, cb) => {
+                        setTimeout(() => cb(null, { delayed: true }), 20);
+                    };
+                `
+            ),
+            destructured: createWebtask(
+                ['test-middleware/passAsync'],
+                `module.exports = async ({ passedAsync }) => ({ passedAsync });`
+            ),
+        };
+        const expected = [
+            ['callback', { called: true }],
+            ['delayed', { delayed: true }],
+            ['destructured', { passedAsync: true }],
+        ];
+
+        return withServer(webtasks, (server, finish) =>
+            Async.eachSeries(
+                expected,
+                (entry, next) =>
+                    request(
+                        'GET',
+                        server.url(entry[0]),
+                        (error, res, payload) => {
+                            Assert.ifError(error);
+                            Assert.equal(res.statusCode, 200);
+                            Assert.deepEqual(JSON.parse(payload), entry[1]);
+
+                            return next();
+                        }
+                    ),
+                () => finish(done)
+            )
+        );
+    });
+
+    it('only runs scoped middleware for matching requests', done => {
+        const webtask = createWebtask(
+            [
+                {
+                    use: 'test-middleware/fail',
+                    method: 'POST',
+                    path: '/admin/*',
+                },
+                { use: 'test-middleware/setParams', path: '/users/:userId' },
+            ],
+            `module.exports = (ctx, cb) => cb(null, { params: ctx.params || null });`
+        );
+
+        return withServer({ webtask }, (server, finish) =>
+            request('POST', server.url('webtask', '/admin/x'), (error, res) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 418);
+
+                return request(
+                    'GET',
+                    server.url('webtask', '/users/42?verbose=1'),
+                    (error, res, payload) => {
+                        Assert.ifError(error);
+                        Assert.equal(res.statusCode, 200);
+                        Assert.deepEqual(JSON.parse(payload), {
+                            params: { userId: '42' },
+                        });
+
+                        return request(
+                            'GET',
+                            server.url('webtask', '/admin/x'),
+                            (error, res, payload) => {
+                                Assert.ifError(error);
+                                Assert.equal(res.statusCode, 200);
+                                Assert.deepEqual(JSON.parse(payload), {
+                                    params: null,
+                                });
+
+                                return finish(done);
+                            }
+                        );
+                    }
+                );
+            })
+        );
+    });
+});
+
+function createWebtask(middlewareSpecs, script, meta) {
+    return {
+        meta: Object.assign(
+            {
+                'wt-compiler': 'webtask-hacks/middleware',
+                'wt-middleware': JSON.stringify(middlewareSpecs),
+            },
+            meta
+        ),
+        script,
+    };
+}
+
+function request(method, url, cb) {
+    return Wreck.request(method, url, {}, (error, res) => {
+        if (error) return cb(error);
+
+        return Wreck.read(res, {}, (error, payload) =>
+            cb(error, res, payload && payload.toString())
+        );
+    });
+}
+
+function withServer(webtasks, cb) {
+    const server = Testing.createServer({
+        modules: {
+            'test-middleware': testMiddleware,
+            'webtask-hacks': require('..'),
+        },
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
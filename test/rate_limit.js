@@ -0,0 +1,218 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+describe('rateLimit middleware', { parallel: true }, () => {
+    it('limits requests per key', done => {
+        const webtasks = {
+            bucket: createWebtask({ 'wt-rate-limit-key': 'header:x-client' }),
+            window: createWebtask({
+                'wt-rate-limit-algorithm': 'sliding-window',
+            }),
+        };
+        const requests = [
+            ['bucket', 'a'],
+            ['bucket', 'a'],
+            ['bucket', 'a'],
+            ['bucket', 'b'],
+            ['window', 'a'],
+            ['window', 'b'],
+            ['window', 'c'],
+        ];
+
+        return withServer(webtasks, {}, (server, finish) =>
+            Async.mapSeries(
+                requests,
+                (req, next) =>
+                    request(server.url(req[0]), { 'X-Client': req[1] }, next),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(responses.map(res => res.statusCode), [
+                        200,
+                        200,
+                        429,
+                        200,
+                        200,
+                        200,
+                        429,
+                    ]);
+
+                    const allowed = responses[0];
+                    const limited = responses[2];
+
+                    Assert.equal(allowed.headers['ratelimit-limit'], '2');
+                    Assert.equal(allowed.headers['ratelimit-remaining'], '1');
+                    Assert.equal(allowed.headers['ratelimit-policy'], '2;w=60');
+                    Assert.equal(limited.headers['ratelimit-remaining'], '0');
+                    Assert.equal(limited.headers['retry-after'], '30');
+                    Assert.ok(+responses[6].headers['retry-after'] > 0);
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('limits requests lacking the key header by address', done => {
+        const webtask = createWebtask({
+            'wt-rate-limit-key': 'header:x-client',
+            'wt-trusted-hops': '2',
+        });
+        const addresses = ['10.0.0.1', '10.0.0.1', '10.0.0.1', '10.0.0.2'];
+
+        return withServer({ webtask }, {}, (server, finish) =>
+            Async.mapSeries(
+                addresses,
+                (address, next) =>
+                    request(
+                        server.url('webtask'),
+                        { 'X-Forwarded-For': address },
+                        next
+                    ),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(responses.map(res => res.statusCode), [
+                        200,
+                        200,
+                        429,
+                        200,
+                    ]);
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('keeps its state in custom stores', done => {
+        const updates = [];
+        const values = new Map();
+        const testStore = {
+            create: () => ({
+                get: (key, cb) => cb(null, values.get(key)),
+                update: (key, fn, cb) => {
+                    updates.push(key);
+                    values.set(key, fn(values.get(key)));
+
+                    return cb(null, values.get(key));
+                },
+            }),
+        };
+        const webtask = createWebtask({ 'wt-storage': 'test-store/create' });
+
+        return withServer({ webtask }, { 'test-store': testStore }, (
+            server,
+            finish
+        ) =>
+            request(server.url('webtask'), {}, (error, res) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 200);
+                Assert.deepEqual(updates, ['rateLimit:ip:127.0.0.1']);
+
+                return finish(done);
+            })
+        );
+    });
+
+    it('expires the state of clients once their limits reset', done => {
+        const values = new Map();
+        const testStore = {
+            create: () => ({
+                get: (key, cb) => cb(null, values.get(key)),
+                update: (key, fn, cb) => {
+                    values.set(key, fn(values.get(key)));
+
+                    return cb(null, values.get(key));
+                },
+            }),
+        };
+        const meta = {
+            'wt-rate-limit-key': 'header:x-client',
+            'wt-storage': 'test-expiring-store/create',
+        };
+        const webtasks = {
+            bucket: createWebtask(meta),
+            window: createWebtask(
+                Object.assign(
+                    { 'wt-rate-limit-algorithm': 'sliding-window' },
+                    meta
+                )
+            ),
+        };
+
+        return withServer(webtasks, { 'test-expiring-store': testStore }, (
+            server,
+            finish
+        ) =>
+            Async.eachSeries(
+                [['bucket', 'a'], ['window', 'b']],
+                (req, next) =>
+                    request(server.url(req[0]), { 'X-Client': req[1] }, next),
+                error => {
+                    Assert.ifError(error);
+
+                    const bucket = values.get('rateLimit:header:a');
+                    const window = values.get('rateLimit:header:b');
+
+                    // One of the 2 tokens is refilled in 30 seconds
+                    Assert.equal(bucket.expiresAt, bucket.updatedAt + 30000);
+                    // The count matters until the end of the next window
+                    Assert.equal(window.expiresAt, window.start + 120000);
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+});
+
+function createWebtask(meta) {
+    return {
+        meta: Object.assign(
+            {
+                'wt-compiler': 'webtask-hacks/middleware',
+                'wt-middleware': 'webtask-hacks/rateLimit',
+                'wt-rate-limit': '2',
+                'wt-storage': 'memory',
+            },
+            meta
+        ),
+        script: 'module.exports = cb => cb(null, "ok");',
+    };
+}
+
+function request(url, headers, cb) {
+    return Wreck.request('GET', url, { headers }, (error, res) => {
+        if (error) return cb(error);
+
+        res.resume();
+
+        return cb(null, res);
+    });
+}
+
+function withServer(webtasks, modules, cb) {
+    const server = Testing.createServer({
+        modules: Object.assign({ 'webtask-hacks': require('..') }, modules),
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
@@ -0,0 +1,132 @@
+'use strict';
+
+const Assert = require('assert');
+const Lab = require('lab');
+const RouteMatcher = require('../lib/route_matcher');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+describe('middleware route matcher', { parallel: true }, () => {
+    it('does not create a matcher for unscoped specs', done => {
+        const match = RouteMatcher.create({
+            use: 'webtask-hacks/authenticate',
+        });
+
+        Assert.equal(match, null);
+
+        done();
+    });
+
+    it('matches methods and wildcard paths after the webtask prefix', done => {
+        const match = RouteMatcher.create({
+            use: 'webtask-hacks/authenticate',
+            method: ['post', 'PUT'],
+            path: '/admin/*',
+        });
+
+        const sharedDomainUrl = '/api/run/container/name/admin/users?x=1';
+
+        Assert.deepEqual(match(createRequest('POST', sharedDomainUrl, 1)), {});
+        Assert.deepEqual(
+            match(createRequest('PUT', '/container/name/admin/users', 2)),
+            {}
+        );
+        Assert.equal(match(createRequest('GET', '/name/admin/users', 3)), null);
+        Assert.equal(match(createRequest('POST', '/name/public', 3)), null);
+
+        done();
+    });
+
+    it('captures named path parameters', done => {
+        const match = RouteMatcher.create({
+            use: 'webtask-hacks/authenticate',
+            path: ['/users/:userId', '/teams/:teamId/users/:userId'],
+        });
+
+        Assert.deepEqual(
+            match(createRequest('GET', '/name/users/a%20b', 3)),
+            { userId: 'a b' }
+        );
+        Assert.deepEqual(
+            match(createRequest('GET', '/name/teams/t/users/u/', 3)),
+            { teamId: 't', userId: 'u' }
+        );
+        Assert.equal(match(createRequest('GET', '/name/users/a/b', 3)), null);
+
+        done();
+    });
+
+    it('normalizes request paths before matching them', done => {
+        const match = RouteMatcher.create({
+            use: 'webtask-hacks/authenticate',
+            path: ['/admin/*', '/teams/:teamId'],
+        });
+        const matchCase = RouteMatcher.create({
+            use: 'webtask-hacks/authenticate',
+            caseSensitive: true,
+            path: '/admin/*',
+        });
+
+        Assert.deepEqual(match(createRequest('GET', '/name/Admin/x', 3)), {});
+        Assert.deepEqual(match(createRequest('GET', '/name//admin/x', 3)), {});
+        Assert.deepEqual(match(createRequest('GET', '/name/%61dmin/x', 3)), {});
+        Assert.deepEqual(match(createRequest('GET', '/name/admin//', 3)), {});
+        Assert.equal(match(createRequest('GET', '/name/admin%2Fx', 3)), null);
+        Assert.deepEqual(
+            match(createRequest('GET', '/name/teams/a%2Fb%2525', 3)),
+            { teamId: 'a/b%25' }
+        );
+        Assert.equal(matchCase(createRequest('GET', '/name/Admin/x', 3)), null);
+        Assert.deepEqual(
+            matchCase(createRequest('GET', '/name//%61dmin/x', 3)),
+            {}
+        );
+
+        done();
+    });
+
+    it('excludes requests matching the unless condition', done => {
+        const match = RouteMatcher.create({
+            use: 'webtask-hacks/jsonLogger',
+            unless: { method: 'GET', path: '/health' },
+        });
+
+        Assert.equal(match(createRequest('GET', '/name/health', 3)), null);
+        Assert.deepEqual(match(createRequest('POST', '/name/health', 3)), {});
+        Assert.deepEqual(match(createRequest('GET', '/name/other', 3)), {});
+
+        done();
+    });
+
+    it('throws for invalid scopes', done => {
+        Assert.throws(() => {
+            RouteMatcher.create({ use: 'mod/fn', path: 'admin' });
+        }, /must start with '\/'/);
+        Assert.throws(() => {
+            RouteMatcher.create({ use: 'mod/fn', method: [] });
+        }, /must be a string or an array of strings/);
+        Assert.throws(() => {
+            RouteMatcher.create({ use: 'mod/fn', unless: 'GET' });
+        }, /must be an object/);
+        Assert.throws(() => {
+            RouteMatcher.create({ use: 'mod/fn', caseSensitive: 'yes' });
+        }, /must be a boolean/);
+
+        done();
+    });
+});
+
+function createRequest(method, url, urlFormat) {
+    return {
+        method,
+        url,
+        x_wt: { container: 'container', jtn: 'name', url_format: urlFormat },
+    };
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
@@ -85,6 +85,134 @@ describe('middleware spec parser', { parallel: true }, () => {
     });
 });
 
+describe('middleware spec objects', { parallel: true }, () => {
+    it('treats a string spec like its parsed form', done => {
+        const parsedSpec = Util.normalizeMiddlewareSpec(
+            'webtask-hacks/unpack()'
+        );
+
+        Assert.equal(parsedSpec.exportName, 'unpack');
+        Assert.equal(parsedSpec.isFactoryFunction, true);
+        Assert.equal(parsedSpec.moduleName, 'webtask-hacks');
+        Assert.equal(parsedSpec.options, undefined);
+
+        done();
+    });
+
+    it('treats an object spec with options as a factory function', done => {
+        const parsedSpec = Util.normalizeMiddlewareSpec({
+            use: 'some-module/factory',
+            options: { realm: 'test' },
+        });
+
+        Assert.equal(parsedSpec.exportName, 'factory');
+        Assert.equal(parsedSpec.isFactoryFunction, true);
+        Assert.equal(parsedSpec.moduleName, 'some-module');
+        Assert.deepEqual(parsedSpec.options, { realm: 'test' });
+
+        done();
+    });
+
+    it('treats an object spec with only a reference as a plain export', done => {
+        const parsedSpec = Util.normalizeMiddlewareSpec({
+            use: 'some-module/middleware',
+        });
+
+        Assert.equal(parsedSpec.exportName, 'middleware');
+        Assert.equal(parsedSpec.isFactoryFunction, false);
+
+        done();
+    });
+
+    it('normalizes secret name arrays and maps', done => {
+        const fromArray = Util.normalizeMiddlewareSpec({
+            use: 'some-module/factory',
+            secrets: ['API_KEY'],
+        });
+        const fromMap = Util.normalizeMiddlewareSpec({
+            use: 'some-module/factory',
+            secrets: { apiKey: 'API_KEY' },
+        });
+
+        Assert.deepEqual(fromArray.secrets, { API_KEY: 'API_KEY' });
+        Assert.equal(fromArray.isFactoryFunction, true);
+        Assert.deepEqual(fromMap.secrets, { apiKey: 'API_KEY' });
+
+        done();
+    });
+
+    it('throws for an object spec without a reference', done => {
+        Assert.throws(() => {
+            Util.normalizeMiddlewareSpec({ options: {} });
+        });
+
+        done();
+    });
+
+    it('throws for invalid options and secrets', done => {
+        Assert.throws(() => {
+            Util.normalizeMiddlewareSpec({ use: 'mod/fn', options: [] });
+        });
+        Assert.throws(() => {
+            Util.normalizeMiddlewareSpec({ use: 'mod/fn', secrets: [1] });
+        });
+
+        done();
+    });
+
+    it('passes options and referenced secrets to factory functions', done => {
+        const parsedSpec = Util.normalizeMiddlewareSpec({
+            use: 'some-module/factory',
+            options: { realm: 'test' },
+            secrets: { key: 'SECRET' },
+        });
+        const middlewareFn = Util.invokeSpecFactory(
+            parsedSpec,
+            options => {
+                Assert.deepEqual(options, { realm: 'test', key: 'shh' });
+
+                return function middleware() {};
+            },
+            { SECRET: 'shh' }
+        );
+
+        Assert.equal(middlewareFn.name, 'middleware');
+
+        done();
+    });
+
+    it('throws when a factory function does not produce a function', done => {
+        const parsedSpec = Util.normalizeMiddlewareSpec(
+            'some-module/factory()'
+        );
+
+        Assert.throws(() => {
+            Util.invokeSpecFactory(parsedSpec, () => null);
+        }, /did not produce a function/);
+
+        done();
+    });
+
+    it('throws when a referenced secret is missing', done => {
+        Assert.throws(() => {
+            Util.resolveCompiler(
+                { use: 'util/format', secrets: ['SECRET'] },
+                {}
+            );
+        }, /missing secret 'SECRET'/);
+
+        done();
+    });
+
+    it('throws when a module has no function export of the given name', done => {
+        Assert.throws(() => {
+            Util.resolveCompiler('util/missingExport');
+        }, /no function export named 'missingExport'/);
+
+        done();
+    });
+});
+
 if (require.main === module) {
     Lab.report([lab], { output: process.stdout, progress: 2 });
 }
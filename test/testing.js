@@ -0,0 +1,178 @@
+'use strict';
+
+const Assert = require('assert');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+describe('local webtask runtime', { parallel: true }, () => {
+    it('compiles exported and returned webtask functions', done => {
+        const nodejsCompiler = Testing.createNodejsCompiler();
+
+        return nodejsCompiler(`module.exports = cb => cb();`, (error, fn) => {
+            Assert.ifError(error);
+            Assert.equal(fn.length, 1);
+
+            return nodejsCompiler(
+                `return function (ctx, cb) { cb(); };`,
+                (error, fn) => {
+                    Assert.ifError(error);
+                    Assert.equal(fn.length, 2);
+
+                    return nodejsCompiler(`module.exports = 42;`, error => {
+                        Assert.ok(error);
+
+                        done();
+                    });
+                }
+            );
+        });
+    });
+
+    it('detects conflicting storage writes', done => {
+        const storage = Testing.createStorage({ count: 0 });
+        const other = storage.connect();
+
+        return storage.get((error, data) => {
+            Assert.ifError(error);
+
+            return other.get(error => {
+                Assert.ifError(error);
+
+                return other.set({ count: 2 }, error => {
+                    Assert.ifError(error);
+
+                    return storage.set({ count: data.count + 1 }, error => {
+                        Assert.equal(error.code, 409);
+
+                        return storage.set({ count: 3 }, { force: 1 }, error => {
+                            Assert.ifError(error);
+
+                            return other.get((error, data) => {
+                                Assert.ifError(error);
+                                Assert.deepEqual(data, { count: 3 });
+
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('builds contexts and request properties', done => {
+        const ctx = Testing.createContext({
+            meta: { 'wt-debug': 'wt-middleware' },
+            query: { q: '1' },
+            secrets: { SECRET: 'shh' },
+        });
+        const xwt = Testing.createXwt({ container: 'c', name: 'n' });
+
+        Assert.deepEqual(ctx.data, { q: '1', SECRET: 'shh' });
+        Assert.equal(typeof ctx.storage.get, 'function');
+        Assert.equal(typeof ctx.token, 'string');
+        Assert.equal(xwt.container, 'c');
+        Assert.equal(xwt.jtn, 'n');
+        Assert.equal(xwt.url_format, 1);
+        Assert.equal(typeof xwt.req_id, 'string');
+
+        done();
+    });
+
+    it('runs compilers end to end on a local server', done => {
+        const token = 'cron-token';
+        const server = Testing.createServer({
+            container: 'local',
+            modules: { 'webtask-hacks': require('..') },
+            urlFormat: 2,
+            webtasks: {
+                cron: {
+                    meta: {
+                        'wt-compiler': 'webtask-hacks/middleware',
+                        'wt-middleware': 'webtask-hacks/authenticateCron',
+                    },
+                    script: `
+                        module.exports = (ctx, cb) =>
+                            cb(null, {
+                                forwardedFor: ctx.headers['x-forwarded-for'],
+                                secrets: ctx.secrets,
+                            });
+                    `,
+                    secrets: { SECRET: 'shh' },
+                    token,
+                },
+                double: {
+                    script: `module.exports = (ctx, req, res) => req.pipe(res);`,
+                },
+                sequence: {
+                    meta: { 'wt-compiler': 'webtask-hacks/workflow' },
+                    script: JSON.stringify({
+                        type: 'sequence',
+                        nodes: [{ name: 'double' }, { name: 'double' }],
+                    }),
+                },
+            },
+        });
+
+        return server.listen(error => {
+            Assert.ifError(error);
+
+            return request(
+                'GET',
+                server.url('cron'),
+                { headers: { Authorization: `Bearer ${token}` } },
+                (error, res, payload) => {
+                    Assert.ifError(error);
+                    Assert.equal(res.statusCode, 200);
+                    Assert.deepEqual(JSON.parse(payload), {
+                        forwardedFor: '127.0.0.1',
+                        secrets: { SECRET: 'shh' },
+                    });
+
+                    return request(
+                        'POST',
+                        server.url('sequence'),
+                        { payload: 'hello' },
+                        (error, res, payload) => {
+                            Assert.ifError(error);
+                            Assert.equal(res.statusCode, 200);
+                            Assert.equal(payload, 'hello');
+
+                            return request(
+                                'GET',
+                                server.url('missing'),
+                                {},
+                                (error, res) => {
+                                    Assert.ifError(error);
+                                    Assert.equal(res.statusCode, 404);
+
+                                    return server.close(done);
+                                }
+                            );
+                        }
+                    );
+                }
+            );
+        });
+    });
+});
+
+function request(method, url, options, cb) {
+    return Wreck.request(method, url, options, (error, res) => {
+        if (error) return cb(error);
+
+        return Wreck.read(res, {}, (error, payload) =>
+            cb(error, res, payload && payload.toString())
+        );
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
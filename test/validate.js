@@ -0,0 +1,214 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Joi = require('joi');
+const JsonSchema = require('../lib/json_schema');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+const ITEM_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        price: { type: 'number', exclusiveMinimum: 0 },
+        tags: { type: 'array', items: { type: 'string' }, default: [] },
+    },
+    required: ['name', 'price'],
+    additionalProperties: false,
+};
+
+describe('validate middleware', { parallel: true }, () => {
+    it('rejects invalid requests and coerces valid ones', done => {
+        const webtasks = {
+            metadata: createWebtask(
+                'webtask-hacks/validate',
+                {
+                    'wt-error-format': 'problem',
+                    'wt-validate': JSON.stringify({
+                        body: ITEM_SCHEMA,
+                        query: {
+                            properties: {
+                                dryRun: { type: 'boolean', default: false },
+                            },
+                        },
+                    }),
+                },
+                `module.exports = (ctx, cb) =>
+                    cb(null, { body: ctx.body, query: ctx.query });`
+            ),
+            module: createWebtask(
+                {
+                    use: 'webtask-hacks/createValidator',
+                    options: { schemas: 'test-schemas/items' },
+                },
+                {},
+                `module.exports = (ctx, cb) => cb(null, ctx.query);`
+            ),
+        };
+        const modules = {
+            'test-schemas': {
+                items: {
+                    headers: Joi.object({
+                        'x-tenant': Joi.string().required(),
+                    }),
+                    query: Joi.object({ page: Joi.number().default(1) }),
+                },
+            },
+        };
+        const requests = [
+            ['POST', 'metadata?dryRun=true', { name: 'pen', price: '2.5' }],
+            ['POST', 'metadata', { name: '', price: 0, color: 'red' }],
+            ['GET', 'module', undefined, { 'X-Tenant': 'acme' }],
+            ['GET', 'module?page=two', undefined, {}],
+        ];
+
+        return withServer(webtasks, modules, (server, finish) =>
+            Async.mapSeries(
+                requests,
+                (req, next) =>
+                    request(
+                        req[0],
+                        `${server.url('')}${req[1]}`,
+                        req[2],
+                        req[3],
+                        next
+                    ),
+                (error, responses) => {
+                    Assert.ifError(error);
+
+                    Assert.equal(responses[0].statusCode, 200);
+                    Assert.deepEqual(responses[0].payload, {
+                        body: { name: 'pen', price: 2.5, tags: [] },
+                        query: { dryRun: true },
+                    });
+
+                    Assert.equal(responses[1].statusCode, 400);
+                    Assert.deepEqual(
+                        responses[1].payload.details.map(detail => [
+                            detail.location,
+                            detail.path,
+                        ]),
+                        [['body', 'name'], ['body', 'price'], ['body', 'color']]
+                    );
+
+                    Assert.equal(responses[2].statusCode, 200);
+                    Assert.deepEqual(responses[2].payload, { page: 1 });
+
+                    Assert.equal(responses[3].statusCode, 400);
+                    Assert.deepEqual(
+                        responses[3].payload.data.details.map(
+                            detail => detail.location
+                        ),
+                        ['headers', 'query']
+                    );
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('lets 3-ary webtasks read the validated body', done => {
+        const webtasks = {
+            echo: createWebtask(
+                'webtask-hacks/validate',
+                { 'wt-validate': JSON.stringify({ body: ITEM_SCHEMA }) },
+                'module.exports = (ctx, req, res) => req.pipe(res);'
+            ),
+        };
+
+        return withServer(webtasks, {}, (server, finish) =>
+            request(
+                'POST',
+                server.url('echo'),
+                { name: 'pen', price: 2.5 },
+                {},
+                (error, res) => {
+                    Assert.ifError(error);
+                    Assert.equal(res.statusCode, 200);
+                    Assert.deepEqual(res.payload, { name: 'pen', price: 2.5 });
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('converts JSON Schemas to Joi schemas', done => {
+        const schema = JsonSchema.toJoi({
+            anyOf: [
+                { type: 'string', format: 'email' },
+                { type: ['integer', 'null'], maximum: 10 },
+            ],
+        });
+
+        Assert.ifError(Joi.validate('a@example.com', schema).error);
+        Assert.ifError(Joi.validate(null, schema).error);
+        Assert.ok(Joi.validate('not an email', schema).error);
+        Assert.ok(Joi.validate(11, schema).error);
+        Assert.throws(
+            () => JsonSchema.toJoi({ type: 'string', format: 'color' }),
+            /unsupported format 'color'/
+        );
+
+        done();
+    });
+});
+
+function createWebtask(middlewareSpec, meta, script) {
+    return {
+        meta: Object.assign(
+            {
+                'wt-compiler': 'webtask-hacks/middleware',
+                'wt-middleware': JSON.stringify([middlewareSpec]),
+            },
+            meta
+        ),
+        script,
+    };
+}
+
+function request(method, url, body, headers, cb) {
+    const options = { headers: Object.assign({}, headers) };
+
+    if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.payload = JSON.stringify(body);
+    }
+
+    return Wreck.request(method, url, options, (error, res) => {
+        if (error) return cb(error);
+
+        return Wreck.read(res, { json: 'force' }, (error, payload) => {
+            if (error) return cb(error);
+
+            res.payload = payload;
+
+            return cb(null, res);
+        });
+    });
+}
+
+function withServer(webtasks, modules, cb) {
+    const server = Testing.createServer({
+        modules: Object.assign({ 'webtask-hacks': require('..') }, modules),
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
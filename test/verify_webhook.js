@@ -0,0 +1,175 @@
+'use strict';
+
+const Assert = require('assert');
+const Async = require('async');
+const Crypto = require('crypto');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+const SECRET = 'webhook-secret';
+const PAYLOAD = JSON.stringify({ event: 'push' });
+
+describe('verifyWebhook middleware', { parallel: true }, () => {
+    it('verifies signatures before the body is parsed', done => {
+        const now = Math.floor(Date.now() / 1000);
+        const stale = now - 600;
+        const webtasks = {
+            github: createWebtask('github'),
+            slack: createWebtask('slack'),
+            stripe: createWebtask('stripe'),
+        };
+        const requests = [
+            [
+                'github',
+                { 'X-Hub-Signature-256': `sha256=${sign([PAYLOAD])}` },
+            ],
+            [
+                'github',
+                { 'X-Hub-Signature-256': `sha256=${sign(['tampered'])}` },
+            ],
+            ['github', {}],
+            [
+                'slack',
+                {
+                    'X-Slack-Request-Timestamp': `${now}`,
+                    'X-Slack-Signature': `v0=${sign([
+                        `v0:${now}:`,
+                        PAYLOAD,
+                    ])}`,
+                },
+            ],
+            [
+                'stripe',
+                {
+                    'Stripe-Signature': `t=${now},v1=${sign([
+                        'rotated',
+                    ])},v1=${sign([`${now}.`, PAYLOAD])}`,
+                },
+            ],
+            [
+                'stripe',
+                {
+                    'Stripe-Signature': `t=${stale},v1=${sign([
+                        `${stale}.`,
+                        PAYLOAD,
+                    ])}`,
+                },
+            ],
+        ];
+
+        return withServer(webtasks, (server, finish) =>
+            Async.mapSeries(
+                requests,
+                (req, next) => request(server.url(req[0]), req[1], next),
+                (error, responses) => {
+                    Assert.ifError(error);
+                    Assert.deepEqual(responses.map(res => res.statusCode), [
+                        200,
+                        401,
+                        401,
+                        200,
+                        200,
+                        401,
+                    ]);
+                    Assert.deepEqual(JSON.parse(responses[0].payload), {
+                        event: 'push',
+                    });
+                    Assert.ok(
+                        /outside of the tolerated window/.test(
+                            responses[5].payload
+                        )
+                    );
+
+                    return finish(done);
+                }
+            )
+        );
+    });
+
+    it('lets 3-ary webtasks read the verified body', done => {
+        const webtask = createWebtask(
+            'github',
+            `
+                module.exports = (ctx, req, res) => {
+                    const chunks = [];
+
+                    req.on('data', chunk => chunks.push(chunk));
+                    req.on('end', () => res.end(Buffer.concat(chunks)));
+                };
+            `
+        );
+        const headers = { 'X-Hub-Signature-256': `sha256=${sign([PAYLOAD])}` };
+
+        return withServer({ webtask }, (server, finish) =>
+            request(server.url('webtask'), headers, (error, res) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 200);
+                Assert.equal(res.payload, PAYLOAD);
+
+                return finish(done);
+            })
+        );
+    });
+});
+
+function createWebtask(scheme, script) {
+    return {
+        meta: {
+            'wt-compiler': 'webtask-hacks/middleware',
+            'wt-middleware': 'webtask-hacks/verifyWebhook',
+            'wt-webhook-scheme': scheme,
+        },
+        script: script || 'module.exports = (ctx, cb) => cb(null, ctx.body);',
+        secrets: { 'wt-webhook-secret': SECRET },
+    };
+}
+
+function request(url, headers, cb) {
+    const options = {
+        headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+        payload: PAYLOAD,
+    };
+
+    return Wreck.request('POST', url, options, (error, res) => {
+        if (error) return cb(error);
+
+        return Wreck.read(res, {}, (error, payload) => {
+            if (error) return cb(error);
+
+            res.payload = payload.toString();
+
+            return cb(null, res);
+        });
+    });
+}
+
+function sign(parts) {
+    const hash = Crypto.createHmac('sha256', SECRET);
+
+    parts.forEach(part => hash.update(part));
+
+    return hash.digest('hex');
+}
+
+function withServer(webtasks, cb) {
+    const server = Testing.createServer({
+        modules: { 'webtask-hacks': require('..') },
+        webtasks,
+    });
+
+    return server.listen(error => {
+        Assert.ifError(error);
+
+        return cb(server, done => server.close(done));
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
@@ -0,0 +1,93 @@
+'use strict';
+
+const Assert = require('assert');
+const Lab = require('lab');
+const Testing = require('../testing');
+const Wreck = require('wreck');
+
+const lab = Lab.script();
+const { describe, it } = lab;
+
+module.exports = { lab };
+
+describe('workflow compiler', { parallel: true }, () => {
+    it('formats the errors of failed nodes according to the metadata', done => {
+        const sequence = JSON.stringify({
+            type: 'sequence',
+            nodes: [{ name: 'teapot' }],
+        });
+        const server = Testing.createServer({
+            container: 'local',
+            modules: { 'webtask-hacks': require('..') },
+            urlFormat: 2,
+            webtasks: {
+                legacy: {
+                    meta: { 'wt-compiler': 'webtask-hacks/workflow' },
+                    script: sequence,
+                },
+                problem: {
+                    meta: {
+                        'wt-compiler': 'webtask-hacks/workflow',
+                        'wt-error-format': 'problem',
+                    },
+                    script: sequence,
+                },
+                teapot: {
+                    script: `
+                        module.exports = (ctx, req, res) => {
+                            res.writeHead(418);
+                            res.end();
+                        };
+                    `,
+                },
+            },
+        });
+
+        return server.listen(error => {
+            Assert.ifError(error);
+
+            return request(server.url('legacy'), (error, res, payload) => {
+                Assert.ifError(error);
+                Assert.equal(res.statusCode, 418);
+                Assert.equal(res.headers['content-type'], 'application/json');
+                Assert.deepEqual(JSON.parse(payload), {
+                    error: "I'm a teapot",
+                    message: 'Unexpected status code: 418',
+                    statusCode: 418,
+                });
+
+                return request(server.url('problem'), (error, res, payload) => {
+                    Assert.ifError(error);
+                    Assert.equal(res.statusCode, 418);
+                    Assert.equal(
+                        res.headers['content-type'],
+                        'application/problem+json'
+                    );
+
+                    const problem = JSON.parse(payload);
+
+                    Assert.equal(problem.type, 'about:blank');
+                    Assert.equal(problem.status, 418);
+                    Assert.equal(problem.detail, 'Unexpected status code: 418');
+                    Assert.equal(typeof problem.instance, 'string');
+
+                    return server.close(done);
+                });
+            });
+        });
+    });
+});
+
+function request(url, cb) {
+    return Wreck.request('GET', url, {}, (error, res) => {
+        if (error) return cb(error);
+
+        return Wreck.read(res, {}, (error, payload) =>
+            cb(error, res, payload && payload.toString())
+        );
+    });
+}
+
+if (require.main === module) {
+    Lab.report([lab], { output: process.stdout, progress: 2 });
+}
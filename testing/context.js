@@ -0,0 +1,137 @@
+'use strict';
+
+const Crypto = require('crypto');
+
+const Util = require('../lib/util');
+
+module.exports = {
+    createContext,
+    createStorage,
+    createXwt,
+};
+
+/**
+ * Create a webtask context object like the one passed to webtask functions
+ *
+ * @param {object} [options] Options
+ * @param {object} [options.body] Parsed request body
+ * @param {object} [options.headers] Request headers
+ * @param {object} [options.meta] Webtask metadata
+ * @param {object} [options.query] Parsed query string
+ * @param {object} [options.secrets] Webtask secrets
+ * @param {object} [options.storage] Storage created by `createStorage`; a new, empty one is created by default
+ * @param {string} [options.token] Webtask token
+ */
+function createContext(options) {
+    options = options || {};
+
+    const query = Object.assign({}, options.query);
+    const secrets = Object.assign({}, options.secrets);
+
+    return {
+        body: options.body,
+        data: Object.assign({}, query, secrets),
+        headers: Object.assign({}, options.headers),
+        meta: Object.assign({}, options.meta),
+        query,
+        secrets,
+        storage: options.storage || createStorage(),
+        token: options.token || randomId(),
+    };
+}
+
+/**
+ * Create an in-memory equivalent of the webtask `ctx.storage` API
+ *
+ * Like on the platform, `set` fails with a `409` conflict when the data was
+ * changed since the client's last `get` unless the `force` option is set. Data is
+ * copied on the way in and out to mimic persistence. The `connect` method
+ * creates another client of the same data, like the separate storage clients
+ * of concurrent requests on the platform.
+ *
+ * @param {*} [initialData] Initial stored data
+ */
+function createStorage(initialData) {
+    return createStorageClient({
+        data: initialData === undefined ? undefined : copy(initialData),
+        etag: 0,
+    });
+}
+
+function createStorageClient(state) {
+    // The etag observed by this client through its last `get` or `set`
+    let observedEtag;
+
+    return {
+        connect() {
+            return createStorageClient(state);
+        },
+        get(options, cb) {
+            // Options are accepted for compatibility but have no effect
+            if (typeof options === 'function') cb = options;
+
+            observedEtag = state.etag;
+
+            const data = state.data === undefined ? undefined : copy(state.data);
+
+            return void setImmediate(() => cb(null, data));
+        },
+        set(data, options, cb) {
+            if (typeof options === 'function') {
+                cb = options;
+                options = {};
+            }
+
+            options = options || {};
+            cb = cb || (() => undefined);
+
+            // Without a prior `get` there is nothing to detect a conflict against
+            if (
+                !options.force &&
+                observedEtag !== undefined &&
+                observedEtag !== state.etag
+            ) {
+                const error = new Error(
+                    'Storage data has been modified by another request; get the data again and retry'
+                );
+
+                error.code = 409;
+                error.statusCode = 409;
+
+                return void setImmediate(() => cb(error));
+            }
+
+            state.data = data === undefined ? undefined : copy(data);
+            state.etag++;
+            observedEtag = state.etag;
+
+            return void setImmediate(() => cb(null));
+        },
+    };
+}
+
+/**
+ * Create the `req.x_wt` object that the platform attaches to requests
+ *
+ * @param {object} options Options
+ * @param {string} options.name Name of the webtask
+ * @param {string} [options.container] Webtask container; defaults to `webtask-hacks`
+ * @param {string} [options.requestId] Request id; a random id is generated by default
+ * @param {number} [options.urlFormat] `1` (shared domain), `2` (custom domain) or `3` (wildcard domain); defaults to `1`
+ */
+function createXwt(options) {
+    return {
+        container: options.container || 'webtask-hacks',
+        jtn: options.name,
+        req_id: options.requestId || randomId(),
+        url_format: options.urlFormat || Util.USE_SHARED_DOMAIN,
+    };
+}
+
+function copy(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+function randomId() {
+    return Crypto.randomBytes(8).toString('hex');
+}
@@ -0,0 +1,17 @@
+'use strict';
+
+const Context = require('./context');
+const Modules = require('./modules');
+const NodejsCompiler = require('./nodejs_compiler');
+const Runtime = require('./runtime');
+
+module.exports = {
+    createContext: Context.createContext,
+    createNodejsCompiler: NodejsCompiler.create,
+    createServer: Runtime.createServer,
+    createStorage: Context.createStorage,
+    createXwt: Context.createXwt,
+    registerModule: Modules.register,
+    runCompiler: Runtime.runCompiler,
+    unregisterModule: Modules.unregister,
+};
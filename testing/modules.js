@@ -0,0 +1,71 @@
+'use strict';
+
+const Module = require('module');
+
+const VIRTUAL_FILENAME_PREFIX = '\0webtask-hacks-testing:';
+
+const registry = new Map();
+
+let originalResolveFilename;
+
+module.exports = {
+    register,
+    unregister,
+};
+
+/**
+ * Make an object resolvable through `require(name)`
+ *
+ * This allows middleware specs like `some-module/export` to be resolved
+ * without `some-module` being installed. The module resolver is patched the
+ * first time a module is registered.
+ *
+ * @param {string} name Module name
+ * @param {*} moduleExports Value that `require(name)` should produce
+ */
+function register(name, moduleExports) {
+    install();
+
+    registry.set(name, moduleExports);
+
+    const cachedModule = Module._cache[VIRTUAL_FILENAME_PREFIX + name];
+
+    if (cachedModule) cachedModule.exports = moduleExports;
+}
+
+/**
+ * Stop resolving a previously registered module
+ *
+ * @param {string} name Module name
+ */
+function unregister(name) {
+    registry.delete(name);
+
+    delete Module._cache[VIRTUAL_FILENAME_PREFIX + name];
+}
+
+function install() {
+    if (originalResolveFilename) return;
+
+    originalResolveFilename = Module._resolveFilename;
+
+    Module._resolveFilename = function resolveFilename(request) {
+        if (!registry.has(request)) {
+            return originalResolveFilename.apply(this, arguments);
+        }
+
+        const filename = VIRTUAL_FILENAME_PREFIX + request;
+
+        if (!Module._cache[filename]) {
+            const virtualModule = new Module(filename);
+
+            virtualModule.exports = registry.get(request);
+            virtualModule.filename = filename;
+            virtualModule.loaded = true;
+
+            Module._cache[filename] = virtualModule;
+        }
+
+        return filename;
+    };
+}
@@ -0,0 +1,69 @@
+'use strict';
+
+const Module = require('module');
+const Path = require('path');
+const Vm = require('vm');
+
+module.exports = {
+    create,
+};
+
+/**
+ * Create a local equivalent of the `nodejsCompiler` that the webtask
+ * platform provides to compilers
+ *
+ * Code is compiled as a node module whose `require` resolves relative to
+ * `options.dirname`. Like on the platform, the code may either export the
+ * webtask function or, in the legacy style, `return` it.
+ *
+ * @param {object} [options] Options
+ * @param {string} [options.dirname] Directory that code is considered to be in; defaults to `process.cwd()`
+ * @returns {function} compiler having the form `function(script, cb)`
+ */
+function create(options) {
+    const dirname = (options && options.dirname) || process.cwd();
+    const filename = Path.join(dirname, 'webtask.js');
+
+    return function nodejsCompiler(script, cb) {
+        let webtaskFn;
+
+        try {
+            webtaskFn = compile(script, filename);
+        } catch (e) {
+            return cb(e);
+        }
+
+        if (typeof webtaskFn !== 'function') {
+            return cb(
+                new Error('Supplied code must return or export a function.')
+            );
+        }
+
+        return cb(null, webtaskFn);
+    };
+}
+
+function compile(script, filename) {
+    const webtaskModule = new Module(filename, module);
+
+    webtaskModule.filename = filename;
+    webtaskModule.paths = Module._nodeModulePaths(Path.dirname(filename));
+
+    const wrapper = Vm.runInThisContext(
+        `(function (exports, require, module, __filename, __dirname) {${script}\n})`,
+        { filename }
+    );
+    const webtaskRequire = id => webtaskModule.require(id);
+    const returned = wrapper.call(
+        webtaskModule.exports,
+        webtaskModule.exports,
+        webtaskRequire,
+        webtaskModule,
+        filename,
+        Path.dirname(filename)
+    );
+
+    webtaskModule.loaded = true;
+
+    return returned !== undefined ? returned : webtaskModule.exports;
+}
@@ -0,0 +1,326 @@
+'use strict';
+
+const Http = require('http');
+const Querystring = require('querystring');
+const Wreck = require('wreck');
+
+const Context = require('./context');
+const Modules = require('./modules');
+const NodejsCompiler = require('./nodejs_compiler');
+const Util = require('../lib/util');
+
+module.exports = {
+    createServer,
+    runCompiler,
+};
+
+/**
+ * Compile a webtask the way the platform does, running the compiler named in
+ * the `wt-compiler` metadata, if any
+ *
+ * @param {object} options Options
+ * @param {string} options.script Code of the webtask
+ * @param {function|string} [options.compiler] Compiler function or spec; defaults to the `wt-compiler` metadata
+ * @param {object} [options.meta] Webtask metadata
+ * @param {object} [options.modules] Map of module names to exports made resolvable by `require`
+ * @param {function} [options.nodejsCompiler] Nodejs compiler; defaults to one created by `createNodejsCompiler`
+ * @param {object} [options.secrets] Webtask secrets
+ * @param {function} cb callback having the form `function(error, webtaskFunction)`
+ */
+function runCompiler(options, cb) {
+    const meta = options.meta || {};
+    const nodejsCompiler = options.nodejsCompiler || NodejsCompiler.create();
+    const compilerSpec = options.compiler || meta['wt-compiler'];
+
+    registerModules(options.modules);
+
+    if (!compilerSpec) return nodejsCompiler(options.script, cb);
+
+    let compiler;
+
+    try {
+        compiler = Util.resolveCompiler(compilerSpec);
+    } catch (e) {
+        return cb(e);
+    }
+
+    return compiler(
+        {
+            meta,
+            nodejsCompiler,
+            script: options.script,
+            secrets: options.secrets || {},
+        },
+        cb
+    );
+}
+
+/**
+ * Create an http server hosting named webtasks like a webtask container
+ *
+ * Webtasks are compiled on their first request. Requests are given the
+ * `x-forwarded-*` headers and `req.x_wt` properties that the platform adds and
+ * webtask functions of any supported arity are invoked with a context created
+ * from the webtask's metadata and secrets.
+ *
+ * @param {object} [options] Options
+ * @param {string} [options.container] Name of the container; defaults to `webtask-hacks`
+ * @param {object} [options.modules] Map of module names to exports made resolvable by `require`
+ * @param {number} [options.urlFormat] `1` (shared domain), `2` (custom domain) or `3` (wildcard domain); defaults to `1`
+ * @param {object} [options.webtasks] Map of webtask names to webtask definitions accepted by `setWebtask`
+ */
+function createServer(options) {
+    options = options || {};
+
+    const container = options.container || 'webtask-hacks';
+    const urlFormat = options.urlFormat || Util.USE_SHARED_DOMAIN;
+    const webtasks = {};
+    const server = Http.createServer(handleRequest);
+    let baseUrl;
+
+    registerModules(options.modules);
+
+    Object.keys(options.webtasks || {}).forEach(name =>
+        setWebtask(name, options.webtasks[name])
+    );
+
+    return {
+        close,
+        listen,
+        server,
+        setWebtask,
+        url,
+    };
+
+    /**
+     * Start listening on a random local port
+     *
+     * @param {function} cb callback having the form `function(error, baseUrl)`
+     */
+    function listen(cb) {
+        server.once('error', cb);
+
+        return server.listen(0, '127.0.0.1', () => {
+            server.removeListener('error', cb);
+
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+            return cb(null, baseUrl);
+        });
+    }
+
+    /**
+     * Stop listening once the pending requests are handled
+     *
+     * @param {function} cb callback having the form `function(error)`
+     */
+    function close(cb) {
+        server.close(cb);
+
+        // Webtasks calling other webtasks, like workflows, may keep idle
+        // connections alive, which would keep the server from closing
+        if (server.closeIdleConnections) server.closeIdleConnections();
+    }
+
+    /**
+     * Add or replace a webtask
+     *
+     * @param {string} name Name of the webtask
+     * @param {object} webtask Webtask definition
+     * @param {string} webtask.script Code of the webtask
+     * @param {function|string} [webtask.compiler] Compiler function or spec; defaults to the `wt-compiler` metadata
+     * @param {object} [webtask.meta] Webtask metadata
+     * @param {object} [webtask.secrets] Webtask secrets
+     * @param {object} [webtask.storage] Storage created by `createStorage`
+     * @param {string} [webtask.token] Webtask token
+     */
+    function setWebtask(name, webtask) {
+        webtasks[name] = {
+            compiler: webtask.compiler,
+            meta: Object.assign({}, webtask.meta),
+            pending: null,
+            script: webtask.script,
+            secrets: Object.assign({}, webtask.secrets),
+            storage: webtask.storage || Context.createStorage(),
+            token: webtask.token || Context.createContext().token,
+            webtaskFn: null,
+        };
+    }
+
+    /**
+     * Get the url of a webtask, as it would be for the configured url format
+     *
+     * @param {string} name Name of the webtask
+     * @param {string} [path] Path and query relative to the webtask
+     */
+    function url(name, path) {
+        if (!baseUrl) throw new Error('The server is not listening');
+
+        return `${baseUrl}${getWebtaskPrefix(name)}${path || ''}`;
+    }
+
+    function getWebtaskPrefix(name) {
+        return urlFormat === Util.USE_CUSTOM_DOMAIN
+            ? `/${container}/${name}`
+            : urlFormat === Util.USE_WILDCARD_DOMAIN
+              ? `/${name}`
+              : `/api/run/${container}/${name}`;
+    }
+
+    function getWebtaskName(path) {
+        const segments = path.split('/');
+
+        return urlFormat === Util.USE_CUSTOM_DOMAIN
+            ? segments[1] === container ? segments[2] : undefined
+            : urlFormat === Util.USE_WILDCARD_DOMAIN
+              ? segments[1]
+              : segments[1] === 'api' &&
+                segments[2] === 'run' &&
+                segments[3] === container
+                ? segments[4]
+                : undefined;
+    }
+
+    function handleRequest(req, res) {
+        const queryIdx = req.url.indexOf('?');
+        const path = queryIdx === -1 ? req.url : req.url.slice(0, queryIdx);
+        const name = getWebtaskName(path);
+        const webtask = webtasks[name];
+
+        if (!webtask) {
+            return respondWithPlatformError(res, 404, 'Webtask not found');
+        }
+
+        return compileWebtask(webtask, (error, webtaskFn) => {
+            if (error) {
+                return respondWithPlatformError(
+                    res,
+                    400,
+                    'Compilation failed: ' + error.message,
+                    error
+                );
+            }
+
+            // Emulate the headers added by the platform's proxy, which
+            // are part of the context's headers
+            req.headers['x-forwarded-for'] = req.headers['x-forwarded-for']
+                ? `${req.headers['x-forwarded-for']}, ${req.socket
+                      .remoteAddress}`
+                : req.socket.remoteAddress;
+            req.headers['x-forwarded-port'] = String(req.socket.localPort);
+            req.headers['x-forwarded-proto'] =
+                req.headers['x-forwarded-proto'] || 'http';
+
+            const ctx = Context.createContext({
+                headers: req.headers,
+                meta: webtask.meta,
+                query: Querystring.parse(
+                    queryIdx === -1 ? '' : req.url.slice(queryIdx + 1)
+                ),
+                secrets: webtask.secrets,
+                storage: webtask.storage.connect(),
+                token: webtask.token,
+            });
+
+            req.x_wt = Context.createXwt({ container, name, urlFormat });
+
+            return invokeWebtask(webtaskFn, ctx, req, res);
+        });
+    }
+}
+
+function compileWebtask(webtask, cb) {
+    if (webtask.webtaskFn) return cb(null, webtask.webtaskFn);
+
+    if (webtask.pending) return webtask.pending.push(cb);
+
+    webtask.pending = [cb];
+
+    return runCompiler(webtask, (error, webtaskFn) => {
+        const pending = webtask.pending;
+
+        webtask.pending = null;
+
+        if (!error) webtask.webtaskFn = webtaskFn;
+
+        pending.forEach(cb => cb(error, webtaskFn));
+    });
+}
+
+/**
+ * Invoke a webtask function of any supported arity like the platform does
+ *
+ * @param {function} webtaskFn Compiled webtask function
+ * @param {object} ctx Webtask context
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ */
+function invokeWebtask(webtaskFn, ctx, req, res) {
+    if (webtaskFn.length === 3) {
+        try {
+            return webtaskFn(ctx, req, res);
+        } catch (e) {
+            return respondWithScriptError(res, e);
+        }
+    }
+
+    const bodylessMethods = ['GET', 'HEAD', 'OPTIONS'];
+
+    if (bodylessMethods.indexOf(req.method) !== -1) return run();
+
+    return Wreck.read(req, { json: true }, (error, body) => {
+        if (error) return respondWithScriptError(res, error);
+
+        ctx.body = body;
+
+        return run();
+    });
+
+    function run() {
+        try {
+            return webtaskFn.length === 2
+                ? webtaskFn(ctx, respond)
+                : webtaskFn(respond);
+        } catch (e) {
+            return respondWithScriptError(res, e);
+        }
+    }
+
+    function respond(error, data) {
+        if (error) return respondWithScriptError(res, error);
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? undefined : JSON.stringify(data));
+    }
+}
+
+function registerModules(modules) {
+    Object.keys(modules || {}).forEach(name =>
+        Modules.register(name, modules[name])
+    );
+}
+
+function respondWithPlatformError(res, statusCode, message, error) {
+    const payload = { code: statusCode, error: message };
+
+    if (error && error.stack) payload.stack = error.stack;
+
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+function respondWithScriptError(res, error) {
+    const statusCode = error.statusCode || 500;
+
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(
+        JSON.stringify({
+            code: statusCode,
+            error: 'Script returned an error.',
+            details: String(error),
+            name: error.name,
+            message: error.message,
+            stack: error.stack,
+        })
+    );
+}